@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+import { createHash } from 'node:crypto';
+import { readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { DEFAULT_CODEC_PROFILE, DEFAULT_SAMPLE_RATE, DFPWM_PROFILES, decode, encode } from '../dfpwm.js';
+import { CATALOG_FORMAT, CATALOG_VERSION, CODEC_SAMPLE_RATE_MAX, CODEC_SAMPLE_RATE_MIN, cleanTitle } from '../catalog.js';
+import { readWav, resample, writeWav } from './wav.js';
+
+const USAGE = `Usage: dfpwm <command> [options]
+
+Commands:
+  encode <input.wav> [output.dfpwm]   Convert a WAV file to DFPWM (downmixed to mono, resampled to --rate)
+  decode <input.dfpwm> [output.wav]   Convert a DFPWM file to a 16-bit mono WAV
+  info <file...>                      Report duration and size of WAV and DFPWM files
+  catalog <dir>                       Write a ${CATALOG_FORMAT} catalog of every .dfpwm file in a directory
+
+Options:
+  --codec <profile>   ${Object.keys(DFPWM_PROFILES).join(' or ')} (default ${DEFAULT_CODEC_PROFILE})
+  --rate <hz>         DFPWM sample rate (default ${DEFAULT_SAMPLE_RATE})
+  --out <file>        catalog output file (default: print to stdout)
+  --base-url <url>    prefix for catalog song urls (default: paths relative to the catalog file)
+  --recursive         include subdirectories when building a catalog
+  -h, --help          show this help`;
+
+const OPTIONS = {
+	codec: { type: 'string', default: DEFAULT_CODEC_PROFILE },
+	rate: { type: 'string', default: String(DEFAULT_SAMPLE_RATE) },
+	out: { type: 'string' },
+	'base-url': { type: 'string' },
+	recursive: { type: 'boolean', default: false },
+	help: { type: 'boolean', short: 'h', default: false }
+};
+
+function formatTime(seconds) {
+	const total = Math.max(0, Math.round(seconds));
+	const minutes = Math.floor(total / 60);
+	return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function formatBytes(bytes) {
+	if (bytes < 1024) return `${bytes} B`;
+	const units = ['KB', 'MB', 'GB'];
+	let value = bytes / 1024;
+	let unit = 0;
+	while (value >= 1024 && unit < units.length - 1) {
+		value /= 1024;
+		unit++;
+	}
+	return `${value.toFixed(value >= 10 ? 0 : 1)} ${units[unit]}`;
+}
+
+function replaceExtension(file, extension) {
+	return path.join(path.dirname(file), `${path.basename(file, path.extname(file))}${extension}`);
+}
+
+function codecOptions(values) {
+	const profile = values.codec.toLowerCase();
+	if (!DFPWM_PROFILES[profile]) throw new Error(`Unknown codec "${values.codec}" (expected ${Object.keys(DFPWM_PROFILES).join(' or ')}).`);
+	const sampleRate = Number(values.rate);
+	if (!Number.isInteger(sampleRate) || sampleRate < CODEC_SAMPLE_RATE_MIN || sampleRate > CODEC_SAMPLE_RATE_MAX) {
+		throw new Error(`Invalid --rate "${values.rate}" (expected ${CODEC_SAMPLE_RATE_MIN}-${CODEC_SAMPLE_RATE_MAX} Hz).`);
+	}
+	return { profile, sampleRate };
+}
+
+async function encodeCommand([input, output], values) {
+	if (!input) throw new Error('encode needs an input WAV file.');
+	const codec = codecOptions(values);
+	const wav = readWav(await readFile(input));
+	const bytes = encode(resample(wav.samples, wav.sampleRate, codec.sampleRate), codec);
+	const target = output || replaceExtension(input, '.dfpwm');
+	await writeFile(target, bytes);
+	console.log(`${target}: ${formatTime(bytes.length * 8 / codec.sampleRate)}, ${formatBytes(bytes.length)} (${DFPWM_PROFILES[codec.profile].label}, ${codec.sampleRate} Hz)`);
+}
+
+async function decodeCommand([input, output], values) {
+	if (!input) throw new Error('decode needs an input DFPWM file.');
+	const codec = codecOptions(values);
+	const pcm = decode(await readFile(input), codec);
+	const target = output || replaceExtension(input, '.wav');
+	const wav = writeWav(pcm, codec.sampleRate);
+	await writeFile(target, wav);
+	console.log(`${target}: ${formatTime(pcm.length / codec.sampleRate)}, ${formatBytes(wav.length)} (16-bit mono, ${codec.sampleRate} Hz)`);
+}
+
+async function infoCommand(files, values) {
+	if (!files.length) throw new Error('info needs at least one file.');
+	const codec = codecOptions(values);
+	for (const file of files) {
+		try {
+			if (/\.wav$/i.test(file)) {
+				const wav = readWav(await readFile(file));
+				const duration = wav.frames / wav.sampleRate;
+				const dfpwmBytes = Math.ceil(duration * codec.sampleRate / 8);
+				console.log(`${file}: ${formatTime(duration)}, ${formatBytes((await stat(file)).size)} WAV (${wav.channels} ch, ${wav.bitsPerSample}-bit, ${wav.sampleRate} Hz), ~${formatBytes(dfpwmBytes)} as DFPWM`);
+			} else {
+				const { size } = await stat(file);
+				console.log(`${file}: ${formatTime(size * 8 / codec.sampleRate)}, ${formatBytes(size)} DFPWM at ${codec.sampleRate} Hz`);
+			}
+		} catch (err) {
+			console.error(`${file}: ${err.message}`);
+			process.exitCode = 1;
+		}
+	}
+}
+
+async function findDfpwmFiles(dir, recursive) {
+	const entries = await readdir(dir, { withFileTypes: true });
+	const files = [];
+	for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+		const full = path.join(dir, entry.name);
+		if (entry.isDirectory() && recursive) files.push(...await findDfpwmFiles(full, recursive));
+		else if (entry.isFile() && /\.dfpwm$/i.test(entry.name)) files.push(full);
+	}
+	return files;
+}
+
+async function catalogCommand([dir], values) {
+	if (!dir) throw new Error('catalog needs a directory to scan.');
+	const codec = codecOptions(values);
+	const catalogDir = values.out ? path.dirname(path.resolve(values.out)) : path.resolve(dir);
+	const baseUrl = values['base-url'] ? values['base-url'].replace(/\/?$/, '/') : null;
+
+	const songs = [];
+	for (const file of await findDfpwmFiles(dir, values.recursive)) {
+		const bytes = await readFile(file);
+		const relative = path.relative(catalogDir, path.resolve(file)).split(path.sep).map(encodeURIComponent).join('/');
+		const song = {
+			url: baseUrl ? new URL(relative, baseUrl).toString() : relative,
+			title: cleanTitle(path.basename(file)),
+			// Catalogs only accept a positive duration, so an empty file leaves it out.
+			...(bytes.length && { duration: Math.round(bytes.length * 8 / codec.sampleRate * 100) / 100 }),
+			bytes: bytes.length,
+			sha256: createHash('sha256').update(bytes).digest('hex')
+		};
+		if (codec.profile !== DEFAULT_CODEC_PROFILE) song.codec = codec.profile;
+		if (codec.sampleRate !== DEFAULT_SAMPLE_RATE) song.sampleRate = codec.sampleRate;
+		songs.push(song);
+	}
+
+	const json = `${JSON.stringify({ format: CATALOG_FORMAT, version: CATALOG_VERSION, songs }, null, 2)}\n`;
+	if (values.out) {
+		await writeFile(values.out, json);
+		console.error(`${values.out}: ${songs.length} song${songs.length === 1 ? '' : 's'}`);
+	} else {
+		process.stdout.write(json);
+	}
+}
+
+const COMMANDS = { encode: encodeCommand, decode: decodeCommand, info: infoCommand, catalog: catalogCommand };
+
+async function main() {
+	const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+	const [command, ...args] = positionals;
+	if (values.help || !command) {
+		console.log(USAGE);
+		return;
+	}
+	if (!COMMANDS[command]) throw new Error(`Unknown command "${command}".\n\n${USAGE}`);
+	await COMMANDS[command](args, values);
+}
+
+main().catch(err => {
+	console.error(`dfpwm: ${err.message}`);
+	process.exitCode = 1;
+});
@@ -0,0 +1,92 @@
+// WAV reading and writing for the command-line tools. Node only: files come and go as Buffers.
+
+// Reads 8/16/24/32-bit integer or 32/64-bit float PCM and downmixes it to mono samples in the -1..1 range.
+export function readWav(buffer) {
+	const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+	const ascii = (offset, length) => buffer.toString('latin1', offset, offset + length);
+	if (buffer.length < 12 || ascii(0, 4) !== 'RIFF' || ascii(8, 4) !== 'WAVE') throw new Error('Not a RIFF/WAVE file.');
+
+	let format = null;
+	let data = null;
+	for (let offset = 12; offset + 8 <= buffer.length;) {
+		const id = ascii(offset, 4);
+		const size = view.getUint32(offset + 4, true);
+		const body = offset + 8;
+		if (id === 'fmt ') {
+			let audioFormat = view.getUint16(body, true);
+			// WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID.
+			if (audioFormat === 0xfffe && size >= 26) audioFormat = view.getUint16(body + 24, true);
+			format = {
+				audioFormat,
+				channels: view.getUint16(body + 2, true),
+				sampleRate: view.getUint32(body + 4, true),
+				bitsPerSample: view.getUint16(body + 14, true)
+			};
+		} else if (id === 'data') {
+			data = { offset: body, size: Math.min(size, buffer.length - body) };
+		}
+		offset = body + size + (size & 1);
+	}
+	if (!format) throw new Error('WAV file has no "fmt " chunk.');
+	if (!data) throw new Error('WAV file has no "data" chunk.');
+
+	const { audioFormat, channels, bitsPerSample } = format;
+	const readers = {
+		'1:8': offset => (view.getUint8(offset) - 128) / 128,
+		'1:16': offset => view.getInt16(offset, true) / 32768,
+		'1:24': offset => ((view.getUint8(offset + 2) << 24 >> 8) | (view.getUint8(offset + 1) << 8) | view.getUint8(offset)) / 8388608,
+		'1:32': offset => view.getInt32(offset, true) / 2147483648,
+		'3:32': offset => view.getFloat32(offset, true),
+		'3:64': offset => view.getFloat64(offset, true)
+	};
+	const readSample = readers[`${audioFormat}:${bitsPerSample}`];
+	if (!readSample || !channels) throw new Error(`Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample}-bit, ${channels} channels).`);
+
+	const bytesPerSample = bitsPerSample / 8;
+	const frameBytes = bytesPerSample * channels;
+	const frames = Math.floor(data.size / frameBytes);
+	const samples = new Float32Array(frames);
+	for (let frame = 0; frame < frames; frame++) {
+		const start = data.offset + frame * frameBytes;
+		let sum = 0;
+		for (let channel = 0; channel < channels; channel++) sum += readSample(start + channel * bytesPerSample);
+		samples[frame] = sum / channels;
+	}
+	return { ...format, frames, samples };
+}
+
+export function writeWav(samples, sampleRate) {
+	const buffer = Buffer.alloc(44 + samples.length * 2);
+	buffer.write('RIFF', 0, 'latin1');
+	buffer.writeUInt32LE(36 + samples.length * 2, 4);
+	buffer.write('WAVE', 8, 'latin1');
+	buffer.write('fmt ', 12, 'latin1');
+	buffer.writeUInt32LE(16, 16);
+	buffer.writeUInt16LE(1, 20);
+	buffer.writeUInt16LE(1, 22);
+	buffer.writeUInt32LE(sampleRate, 24);
+	buffer.writeUInt32LE(sampleRate * 2, 28);
+	buffer.writeUInt16LE(2, 32);
+	buffer.writeUInt16LE(16, 34);
+	buffer.write('data', 36, 'latin1');
+	buffer.writeUInt32LE(samples.length * 2, 40);
+	for (let i = 0; i < samples.length; i++) {
+		buffer.writeInt16LE(Math.min(Math.max(Math.round(samples[i] * 32768), -32768), 32767), 44 + i * 2);
+	}
+	return buffer;
+}
+
+// Linear interpolation is plenty for DFPWM's bandwidth; the codec's own filter hides the rest.
+export function resample(samples, fromRate, toRate) {
+	if (fromRate === toRate || !samples.length) return samples;
+	const out = new Float32Array(Math.max(1, Math.round(samples.length * toRate / fromRate)));
+	const step = fromRate / toRate;
+	const last = samples.length - 1;
+	for (let i = 0; i < out.length; i++) {
+		const position = i * step;
+		const index = Math.min(Math.floor(position), last);
+		const next = samples[Math.min(index + 1, last)];
+		out[i] = samples[index] + (next - samples[index]) * (position - index);
+	}
+	return out;
+}
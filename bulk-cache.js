@@ -0,0 +1,11 @@
+// Batching for the bulk "cache all / filtered / playlist" jobs, kept free of DOM and service worker code.
+
+// `cacheBatch(batch)` resolves to `{ cancelled, attempted }`; the result lists the urls that were never tried.
+export async function cacheInBatches(urls, { batchSize, cacheBatch, isCancelled }) {
+	for (let i = 0; i < urls.length; i += batchSize) {
+		if (isCancelled()) return { remaining: urls.slice(i) };
+		const { cancelled, attempted } = await cacheBatch(urls.slice(i, i + batchSize));
+		if (cancelled) return { remaining: urls.slice(i + attempted) };
+	}
+	return { remaining: [] };
+}
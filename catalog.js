@@ -0,0 +1,128 @@
+// Catalog helpers shared by the player and the command-line tools.
+import { DFPWM_PROFILES } from './dfpwm.js';
+
+export const CATALOG_FORMAT = 'dfpwm-catalog';
+export const CATALOG_VERSION = 1;
+export const CODEC_SAMPLE_RATE_MIN = 8000;
+export const CODEC_SAMPLE_RATE_MAX = 96000;
+
+export function cleanTitle(raw) {
+	try {
+		const title = raw.split('/').pop().replace(/\.dfpwm$/i, '');
+		return title.replace(/\(.*?\)|\[.*?\]/g, '').trim();
+	} catch {
+		return raw || 'Unknown title';
+	}
+}
+
+// Without a base url (legacy catalogs) relative urls resolve against the page, when there is one.
+export function resolveCatalogUrl(value, baseUrl) {
+	try {
+		return new URL(value, baseUrl || globalThis.location?.href).toString();
+	} catch {
+		return null;
+	}
+}
+
+export function isValidCodecSampleRate(value) {
+	return Number.isInteger(value) && value >= CODEC_SAMPLE_RATE_MIN && value <= CODEC_SAMPLE_RATE_MAX;
+}
+
+// Accepts a profile name ("dfpwm1") or an object of profile plus overrides; returns null when nothing usable is left.
+export function normalizeCodecOptions(value, report = () => {}) {
+	if (typeof value === 'string') value = { profile: value };
+	if (!value || typeof value !== 'object' || Array.isArray(value)) {
+		report('has an invalid codec (expected a profile name or an object)');
+		return null;
+	}
+
+	const codec = {};
+	if (value.profile !== undefined) {
+		const profile = String(value.profile).toLowerCase();
+		if (DFPWM_PROFILES[profile]) codec.profile = profile;
+		else report(`has an unknown codec profile "${value.profile}" (expected ${Object.keys(DFPWM_PROFILES).join(' or ')})`);
+	}
+	if (value.respPrec !== undefined) {
+		if (Number.isInteger(value.respPrec) && value.respPrec >= 4 && value.respPrec <= 16) codec.respPrec = value.respPrec;
+		else report('has an invalid codec respPrec (expected a whole number from 4 to 16)');
+	}
+	if (value.lpfStrength !== undefined) {
+		if (Number.isInteger(value.lpfStrength) && value.lpfStrength >= 1 && value.lpfStrength <= 256) codec.lpfStrength = value.lpfStrength;
+		else report('has an invalid codec lpfStrength (expected a whole number from 1 to 256)');
+	}
+	if (value.antijerk !== undefined) {
+		if (typeof value.antijerk === 'boolean') codec.antijerk = value.antijerk;
+		else report('has an invalid codec antijerk (expected true or false)');
+	}
+	return Object.keys(codec).length ? codec : null;
+}
+
+const CATALOG_ENTRY_FIELDS = ['url', 'title', 'artist', 'album', 'duration', 'bytes', 'sha256', 'trackGain', 'albumGain', 'peak', 'codec', 'sampleRate', 'tags', 'cover'];
+
+// Returns a cleaned-up song for one catalog entry, or null when it cannot be used; every problem goes to report.
+export function validateCatalogEntry(entry, baseUrl, report, { legacy = false } = {}) {
+	if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+		report('is not an object');
+		return null;
+	}
+	if (typeof entry.url !== 'string' || !entry.url.trim()) {
+		report('is missing a "url"');
+		return null;
+	}
+
+	const url = resolveCatalogUrl(entry.url.trim(), baseUrl);
+	if (!url) {
+		report(`has an invalid url "${entry.url}"`);
+		return null;
+	}
+
+	// Legacy arrays were handed to the player as they were, so their extra fields keep coming through.
+	const song = legacy ? Object.fromEntries(Object.entries(entry).filter(([key]) => !CATALOG_ENTRY_FIELDS.includes(key))) : {};
+	song.url = url;
+	// An empty title falls back to one made from the url, as it always has.
+	for (const key of ['title', 'artist', 'album']) {
+		if (entry[key] === undefined || entry[key] === null) continue;
+		if (typeof entry[key] !== 'string') report(`has an invalid ${key}`);
+		else if (entry[key].trim()) song[key] = entry[key].trim();
+	}
+
+	if (entry.duration !== undefined) {
+		if (Number.isFinite(entry.duration) && entry.duration > 0) song.duration = entry.duration;
+		else report('has an invalid duration (expected seconds > 0)');
+	}
+	if (entry.bytes !== undefined) {
+		if (Number.isInteger(entry.bytes) && entry.bytes >= 0) song.bytes = entry.bytes;
+		else report('has an invalid bytes (expected a whole number)');
+	}
+	if (entry.sha256 !== undefined) {
+		if (typeof entry.sha256 === 'string' && /^[0-9a-f]{64}$/i.test(entry.sha256)) song.sha256 = entry.sha256.toLowerCase();
+		else report('has an invalid sha256 (expected 64 hex characters)');
+	}
+	for (const key of ['trackGain', 'albumGain']) {
+		if (entry[key] === undefined) continue;
+		if (Number.isFinite(entry[key]) && Math.abs(entry[key]) <= 60) song[key] = entry[key];
+		else report(`has an invalid ${key} (expected decibels between -60 and 60)`);
+	}
+	if (entry.peak !== undefined) {
+		if (Number.isFinite(entry.peak) && entry.peak > 0) song.peak = entry.peak;
+		else report('has an invalid peak (expected a linear sample peak > 0)');
+	}
+	if (entry.codec !== undefined) {
+		const codec = normalizeCodecOptions(entry.codec, report);
+		if (codec) song.codec = codec;
+	}
+	if (entry.sampleRate !== undefined) {
+		if (isValidCodecSampleRate(entry.sampleRate)) song.sampleRate = entry.sampleRate;
+		else report(`has an invalid sampleRate (expected a whole number of Hz between ${CODEC_SAMPLE_RATE_MIN} and ${CODEC_SAMPLE_RATE_MAX})`);
+	}
+	if (entry.tags !== undefined) {
+		if (Array.isArray(entry.tags) && entry.tags.every(tag => typeof tag === 'string')) song.tags = entry.tags.map(tag => tag.trim()).filter(Boolean);
+		else report('has invalid tags (expected an array of strings)');
+	}
+	if (entry.cover !== undefined) {
+		const cover = typeof entry.cover === 'string' ? resolveCatalogUrl(entry.cover, baseUrl) : null;
+		if (cover) song.cover = cover;
+		else report('has an invalid cover url');
+	}
+	return song;
+}
@@ -0,0 +1,173 @@
+// DFPWM codec shared by the player, the command-line tools and the tests.
+// No DOM or Node APIs: bytes go in and out as Uint8Array, samples as Float32Array in the -1..1 range.
+
+export const DEFAULT_SAMPLE_RATE = 48000;
+
+// DFPWM1a is what current ComputerCraft speakers play; DFPWM1 is the original codec older content was made with.
+// Both keep the charge and response at respPrec bits. DFPWM1 moves the response by respInc/respDec 256ths
+// (respShift 8) of the way to its target; the floor is respFloor << (respPrec - 8).
+export const DFPWM_PROFILES = {
+	dfpwm1a: { label: 'DFPWM1a', respPrec: 10, respShift: 8, respFloor: 2, respInc: 1, respDec: 1, lpfStrength: 140, antijerk: true, proportional: false },
+	dfpwm1: { label: 'DFPWM1', respPrec: 10, respShift: 8, respFloor: 1, respInc: 7, respDec: 20, lpfStrength: 100, antijerk: false, proportional: true }
+};
+export const DEFAULT_CODEC_PROFILE = 'dfpwm1a';
+
+export class DFPWM {
+	constructor(options = {}) {
+		const profile = DFPWM_PROFILES[options.profile] || DFPWM_PROFILES[DEFAULT_CODEC_PROFILE];
+		const settings = { ...profile };
+		for (const key of ['respPrec', 'respShift', 'respFloor', 'respInc', 'respDec', 'lpfStrength', 'antijerk', 'proportional']) {
+			if (options[key] !== undefined && options[key] !== null) settings[key] = options[key];
+		}
+
+		this.response = 0;
+		this.level = 0;
+		this.lastbit = false;
+		this.flastlevel = 0;
+		this.lpflevel = 0;
+		this.pendingByte = 0;
+		this.pendingBits = 0;
+
+		this.RESP_PREC = settings.respPrec;
+		this.RESP_SHIFT = settings.respShift;
+		this.RESP_INC = settings.respInc;
+		this.RESP_DEC = settings.respDec;
+		this.LPF_STRENGTH = settings.lpfStrength;
+		this.ANTIJERK = !!settings.antijerk;
+		this.PROPORTIONAL = !!settings.proportional;
+		this.MIN_RESPONSE = this.RESP_PREC > 8 ? settings.respFloor << (this.RESP_PREC - 8) : 0;
+		this.MAX_RESPONSE = (1 << this.RESP_PREC) - 1;
+		this.RESP_HALF = 1 << (this.RESP_PREC - 1);
+		this.SCALE = 1 / 128.0;
+	}
+
+	// DFPWM1a steps the response by one; DFPWM1 moves a fraction of the way towards the target.
+	nextResponse(response, same) {
+		const rtarget = same ? this.MAX_RESPONSE : 0;
+		let next = response;
+		if (response !== rtarget && this.PROPORTIONAL) {
+			const delta = same ? this.RESP_INC : this.RESP_DEC;
+			next = response + ((delta * (rtarget - response) + (1 << (this.RESP_SHIFT - 1))) >> this.RESP_SHIFT);
+			if (next === response) next += same ? 1 : -1;
+		} else if (response !== rtarget) {
+			next = response + (same ? this.RESP_INC : -this.RESP_DEC);
+		}
+		// Clamped even at the target, so a fresh decoder's zero response is lifted to the floor on the first bit.
+		return Math.min(Math.max(next, this.MIN_RESPONSE), this.MAX_RESPONSE);
+	}
+
+	decode(input) {
+		const bytes = toBytes(input);
+		const out = new Float32Array(bytes.length * 8);
+		const { RESP_PREC, LPF_STRENGTH, ANTIJERK, RESP_HALF, SCALE } = this;
+		let { response, level, lastbit, flastlevel, lpflevel } = this;
+		let pos = 0;
+
+		for (let byte of bytes) {
+			for (let b = 0; b < 8; b++, byte >>= 1) {
+				const bit = (byte & 1) !== 0;
+				const target = bit ? 127 : -128;
+
+				const charge = level + ((response * (target - level) + RESP_HALF) >> RESP_PREC);
+				// A step too small to move the charge still nudges it one unit towards the target.
+				level = charge === level && charge !== target ? charge + (bit ? 1 : -1) : charge;
+
+				const same = bit === lastbit;
+				response = this.nextResponse(response, same);
+
+				const blended = same || !ANTIJERK ? level : ((flastlevel + level + 1) >> 1);
+				flastlevel = level;
+				lpflevel += ((LPF_STRENGTH * (blended - lpflevel) + 0x80) >> 8);
+				out[pos++] = lpflevel * SCALE;
+
+				lastbit = bit;
+			}
+		}
+
+		Object.assign(this, { response, level, lastbit, flastlevel, lpflevel });
+		return out.subarray(0, pos);
+	}
+
+	encode(samples) {
+		const out = new Uint8Array((this.pendingBits + samples.length) >> 3);
+		const { RESP_PREC, RESP_HALF } = this;
+		let { response, level, lastbit, pendingByte, pendingBits } = this;
+		let pos = 0;
+
+		for (let i = 0; i < samples.length; i++) {
+			const input = Math.min(Math.max(Math.round(samples[i] * 128), -128), 127);
+			const bit = input > level || (input === level && level === 127);
+			const target = bit ? 127 : -128;
+
+			const charge = level + ((response * (target - level) + RESP_HALF) >> RESP_PREC);
+			// A step too small to move the charge still nudges it one unit towards the target.
+			level = charge === level && charge !== target ? charge + (bit ? 1 : -1) : charge;
+
+			response = this.nextResponse(response, bit === lastbit);
+
+			lastbit = bit;
+			pendingByte = (pendingByte >> 1) | (bit ? 0x80 : 0);
+			if (++pendingBits === 8) {
+				out[pos++] = pendingByte;
+				pendingByte = 0;
+				pendingBits = 0;
+			}
+		}
+
+		Object.assign(this, { response, level, lastbit, pendingByte, pendingBits });
+		return out.subarray(0, pos);
+	}
+
+	flush() {
+		if (!this.pendingBits) return new Uint8Array(0);
+		return this.encode(new Float32Array(8 - this.pendingBits).fill(this.level / 128));
+	}
+}
+
+function toBytes(input) {
+	if (input instanceof Uint8Array) return input;
+	if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+	if (input instanceof ArrayBuffer) return new Uint8Array(input);
+	return Uint8Array.from(input);
+}
+
+export function decode(bytes, options) {
+	return new DFPWM(options).decode(bytes);
+}
+
+// One-shot encode, including the padding bits that complete the last byte.
+export function encode(samples, options) {
+	const encoder = new DFPWM(options);
+	const body = encoder.encode(samples);
+	const tail = encoder.flush();
+	if (!tail.length) return body;
+	const out = new Uint8Array(body.length + tail.length);
+	out.set(body);
+	out.set(tail, body.length);
+	return out;
+}
+
+// Stateful across chunks, so a stream decodes exactly like one decode() call over the whole input.
+export function createDecoderStream(options) {
+	const decoder = new DFPWM(options);
+	return new TransformStream({
+		transform(chunk, controller) {
+			const pcm = decoder.decode(chunk);
+			if (pcm.length) controller.enqueue(pcm);
+		}
+	});
+}
+
+export function createEncoderStream(options) {
+	const encoder = new DFPWM(options);
+	return new TransformStream({
+		transform(chunk, controller) {
+			const bytes = encoder.encode(chunk);
+			if (bytes.length) controller.enqueue(bytes);
+		},
+		flush(controller) {
+			const bytes = encoder.flush();
+			if (bytes.length) controller.enqueue(bytes);
+		}
+	});
+}
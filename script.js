@@ -1,65 +1,84 @@
+import { DEFAULT_CODEC_PROFILE, DEFAULT_SAMPLE_RATE, DFPWM, DFPWM_PROFILES } from './dfpwm.js';
+import { CATALOG_FORMAT, CATALOG_VERSION, CODEC_SAMPLE_RATE_MAX, CODEC_SAMPLE_RATE_MIN, cleanTitle, isValidCodecSampleRate, normalizeCodecOptions, validateCatalogEntry } from './catalog.js';
+import { cacheInBatches } from './bulk-cache.js';
+
 const SONGS_JSON_URL = 'https://pub-050fb801777b4853a0c36256d7ab9b36.r2.dev/songs.json';
-const SAMPLE_RATE = 48000;
+const SAMPLE_RATE = DEFAULT_SAMPLE_RATE;
 const LOCAL_STORAGE_KEY = 'dfpwm_local_songs';
+const PLAYBACK_STATE_STORAGE_KEY = 'dfpwm_playback_state';
+const PLAYBACK_STATE_SAVE_INTERVAL_MS = 5000;
+const PLAYBACK_MODES_STORAGE_KEY = 'dfpwm_playback_modes';
+const REPEAT_MODES = ['off', 'one', 'queue', 'list'];
+const REPEAT_MODE_LABELS = { off: 'Off', one: 'One', queue: 'Queue', list: 'List' };
+const CROSSFADE_MAX_SECONDS = 10;
+const SPEED_MIN = 0.5;
+const SPEED_MAX = 2;
+const NEXT_TRACK_LEAD_SECONDS = 0.05;
+const NEXT_TRACK_RESCHEDULE_SECONDS = 0.002;
+const PLAYLISTS_STORAGE_KEY = 'dfpwm_playlists';
+const LIBRARY_VIEW_STORAGE_KEY = 'dfpwm_library_view';
+const SORT_MODES = ['default', 'title', 'artist', 'album', 'recent'];
+const FILTERED_LISTS = ['public', 'local', 'queue', 'playlist'];
+const SOURCES_STORAGE_KEY = 'dfpwm_library_sources';
+const LOCAL_CATALOG_PATH = 'catalogs/';
+const MAX_REPORTED_CATALOG_ISSUES = 50;
+const VISUALIZER_STORAGE_KEY = 'dfpwm_visualizer_mode';
+const VISUALIZER_MODES = ['scope', 'spectrum', 'bits', 'off'];
+const VISUALIZER_SPECTRUM_BARS = 64;
+const VISUALIZER_BIT_COLUMNS = 64;
+const WAVEFORM_STORAGE_KEY = 'dfpwm_waveforms';
+const WAVEFORM_BUCKETS = 480;
+const WAVEFORM_CACHE_LIMIT = 200;
+const ANALYSIS_SLICE_BYTES = 64 * 1024;
+const LOUDNESS_STORAGE_KEY = 'dfpwm_loudness';
+const LOUDNESS_CACHE_LIMIT = 200;
+const NORMALIZATION_STORAGE_KEY = 'dfpwm_normalization_mode';
+const NORMALIZATION_MODES = ['off', 'track', 'album'];
+const NORMALIZATION_TARGET_DB = -16;
+const NORMALIZATION_MAX_DB = 12;
+const LOUDNESS_WINDOW_SECONDS = 0.05;
+const LOUDNESS_PERCENTILE = 0.95;
+const CODEC_OVERRIDES_STORAGE_KEY = 'dfpwm_codec_overrides';
+const FILTER_STORAGE_KEY = 'dfpwm_filter_settings';
+const EQ_BANDS = [60, 170, 350, 1000, 3500, 10000];
+const EQ_GAIN_LIMIT_DB = 12;
+const EQ_PRESETS = {
+	flat: { label: 'Flat', gains: [0, 0, 0, 0, 0, 0] },
+	bass: { label: 'Bass boost', gains: [6, 4, 1, 0, 0, 0] },
+	vocal: { label: 'Vocal', gains: [-2, -1, 2, 4, 2, 0] },
+	bright: { label: 'Bright', gains: [0, 0, 0, 1, 4, 5] },
+	soft: { label: 'Soft (less hiss)', gains: [1, 1, 0, -1, -4, -8] }
+};
+const DEHISS_DEFAULT_HZ = 6000;
 const THEME_STORAGE_KEY = 'dfpwm_theme_seed';
 const DEFAULT_THEME_SEED = '#0b0d10';
 const SONG_CACHE_NAME = 'dfpwm-song-cache-v1';
 const SW_CACHE_TIMEOUT_MS = 30000;
-
-class DFPWM {
-	constructor() {
-		this.response = 0;
-		this.level = 0;
-		this.lastbit = false;
-		this.flastlevel = 0;
-		this.lpflevel = 0;
-
-		this.RESP_PREC = 10;
-		this.LPF_STRENGTH = 140;
-		this.MIN_RESPONSE = 2 << (this.RESP_PREC - 8);
-		this.MAX_RESPONSE = (1 << this.RESP_PREC) - 1;
-		this.RESP_HALF = 1 << (this.RESP_PREC - 1);
-		this.SCALE = 1 / 128.0;
-	}
-
-	decode(uint8Array) {
-		const out = new Float32Array(uint8Array.length * 8);
-		const { RESP_PREC, LPF_STRENGTH, MIN_RESPONSE, MAX_RESPONSE, RESP_HALF, SCALE } = this;
-		let { response, level, lastbit, flastlevel, lpflevel } = this;
-		let pos = 0;
-
-		for (let byte of uint8Array) {
-			for (let b = 0; b < 8; b++, byte >>= 1) {
-				const bit = (byte & 1) !== 0;
-				const target = bit ? 127 : -128;
-
-				level += ((response * (target - level) + RESP_HALF) >> RESP_PREC);
-				if (level === target - 1) level++;
-
-				const same = bit === lastbit;
-				const rtarget = same ? MAX_RESPONSE : 0;
-				if (response !== rtarget) {
-					response += same ? 1 : -1;
-					response = Math.min(Math.max(response, MIN_RESPONSE), MAX_RESPONSE);
-				}
-
-				const blended = same ? level : ((flastlevel + level + 1) >> 1);
-				flastlevel = level;
-				lpflevel += ((LPF_STRENGTH * (blended - lpflevel) + 0x80) >> 8);
-				out[pos++] = lpflevel * SCALE;
-
-				lastbit = bit;
-			}
-		}
-
-		Object.assign(this, { response, level, lastbit, flastlevel, lpflevel });
-		return out.subarray(0, pos);
-	}
-}
+const CACHE_BATCH_SIZE = 8;
+const IMPORTED_SONG_PATH = 'imports/';
+const STREAM_WORKLET_URL = 'stream-worklet.js';
+const STREAM_RING_SECONDS = 20;
+const STREAM_PREBUFFER_SECONDS = 0.5;
+const STREAM_CHUNK_BYTES = 4096;
+const DOWNLOAD_RETRY_LIMIT = 5;
+const DOWNLOAD_RETRY_BASE_MS = 1000;
+const DOWNLOAD_RETRY_MAX_MS = 15000;
+const SEEK_STEP_SECONDS = 10;
+const SEEK_RANGE_AHEAD_BYTES = 64 * 1024;
 
 let publicSongs = [];
 let localSongs = [];
 let queueSongs = [];
+let playlists = [];
+let activePlaylistId = null;
+let librarySources = [];
+const sourceStatus = new Map();
+let searchQuery = '';
+let cacheJob = null;
+let lastFailedCacheUrls = [];
+const songSizeByUrl = new Map();
+const cacheIntegrity = new Map();
+let sortMode = 'default';
 let selectedList = 'public';
 let selectedIndex = -1;
 let songUidCounter = 1;
@@ -69,16 +88,75 @@ const byId = (...ids) => ids.map(id => document.getElementById(id)).find(Boolean
 const listPublicEl = byId('list-public');
 const listLocalEl = byId('list-local');
 const listQueueEl = byId('list-queue');
+const listPlaylistEl = byId('list-playlist');
+const playlistSelectEl = byId('playlistSelect');
+const playlistNewBtn = byId('playlistNewBtn');
+const playlistRenameBtn = byId('playlistRenameBtn');
+const playlistDeleteBtn = byId('playlistDeleteBtn');
+const playlistLoadBtn = byId('playlistLoadBtn');
+const playlistAddBtn = byId('playlistAddBtn');
 const refreshBtn = byId('refreshBtn');
+const searchInputEl = byId('searchInput');
+const sortSelectEl = byId('sortSelect');
+const importBtn = byId('importBtn');
+const importFileInputEl = byId('importFileInput');
 const playBtn = byId('playBtn');
 const pauseBtn = byId('pauseBtn');
 const stopBtn = byId('stopBtn');
+const resumeBtn = byId('resumeBtn');
+const shuffleBtn = byId('shuffleBtn');
+const repeatBtn = byId('repeatBtn');
+const resumePositionToggleEl = byId('resumePositionToggle');
 const queueAddBtn = byId('queueAddBtn');
 const removeBtn = byId('removeBtn');
 const cacheBtn = byId('cacheBtn');
+const exportBtn = byId('exportBtn');
 const clearQueueBtn = byId('clearQueueBtn');
+const refetchBtn = byId('refetchBtn');
+const refetchDamagedBtn = byId('refetchDamagedBtn');
+const verifyCacheBtn = byId('verifyCacheBtn');
+const cacheAllBtn = byId('cacheAllBtn');
+const cacheFilteredBtn = byId('cacheFilteredBtn');
+const cachePlaylistBtn = byId('cachePlaylistBtn');
+const cacheCancelBtn = byId('cacheCancelBtn');
+const cacheRetryBtn = byId('cacheRetryBtn');
+const cacheJobLabelEl = byId('cacheJobLabel');
+const cacheJobProgressEl = byId('cacheJobProgress');
+const storageUsageEl = byId('storageUsage');
+const persistStorageBtn = byId('persistStorageBtn');
+const storageListEl = byId('storageList');
+const sourcesListEl = byId('sourcesList');
+const sourcesBadgeEl = byId('sourcesBadge');
+const sourceUrlInputEl = byId('sourceUrlInput');
+const sourceAddBtn = byId('sourceAddBtn');
+const sourceFileBtn = byId('sourceFileBtn');
+const sourceFileInputEl = byId('sourceFileInput');
 const volumeEl = byId('volume');
+const crossfadeEl = byId('crossfade');
+const crossfadeValueEl = byId('crossfadeValue');
+const speedEl = byId('speed');
+const speedValueEl = byId('speedValue');
 const barEl = byId('bar');
+const progressEl = byId('progress');
+const waveformCanvasEl = byId('waveform');
+const filtersEnabledEl = byId('filtersEnabled');
+const eqPresetEl = byId('eqPreset');
+const eqBandsEl = byId('eqBands');
+const dehissToggleEl = byId('dehissToggle');
+const dehissFrequencyEl = byId('dehissFrequency');
+const dehissValueEl = byId('dehissValue');
+const limiterToggleEl = byId('limiterToggle');
+const normalizationModeEl = byId('normalizationMode');
+const normalizationInfoEl = byId('normalizationInfo');
+const codecSongLabelEl = byId('codecSongLabel');
+const codecInfoEl = byId('codecInfo');
+const codecProfileEl = byId('codecProfile');
+const codecSampleRateEl = byId('codecSampleRate');
+const codecRespPrecEl = byId('codecRespPrec');
+const codecLpfStrengthEl = byId('codecLpfStrength');
+const codecAntijerkEl = byId('codecAntijerk');
+const codecApplyBtn = byId('codecApplyBtn');
+const codecResetBtn = byId('codecResetBtn');
 const installBtn = byId('installBtn');
 const nowPlayingTitleEl = byId('nowPlayingTitle', 'nowPlayingLabel');
 const nowPlayingMetaEl = byId('nowPlayingMeta');
@@ -93,6 +171,7 @@ const countQueueEl = byId('count-queue', 'queueCountLabel');
 const publicListBadgeEl = byId('publicListBadge');
 const localListBadgeEl = byId('localListBadge');
 const queueListBadgeEl = byId('queueListBadge');
+const playlistListBadgeEl = byId('playlistListBadge');
 const themeColorPickerEl = byId('themeColorPicker', 'themeColorPickerEl');
 const themeResetBtnEl = byId('themeResetBtn');
 const themeSeedSwatchEl = byId('themeSeedSwatch', 'themeSeedSwatchEl');
@@ -100,9 +179,31 @@ const themeBaseSwatchEl = byId('themeBaseSwatch', 'themeBaseSwatchEl');
 const themeAccentSwatchEl = byId('themeAccentSwatch', 'themeAccentSwatchEl');
 const themeHintEl = byId('themeHint');
 const metaThemeColorEl = document.querySelector('meta[name="theme-color"]');
+const visualizerCanvasEl = byId('visualizer');
+const visualizerModeEl = byId('visualizerMode');
 
 let audioCtx = null;
 let gainNode = null;
+let analyserNode = null;
+let filterNodes = null;
+let filterSettings = {
+	enabled: true,
+	preset: 'flat',
+	gains: [...EQ_PRESETS.flat.gains],
+	dehiss: false,
+	dehissFrequency: DEHISS_DEFAULT_HZ,
+	limiter: false
+};
+let visualizerMode = 'scope';
+let visualizerSamples = null;
+let visualizerBins = null;
+let themePalette = null;
+const waveformCache = new Map();
+const loudnessByUrl = new Map();
+let normalizationMode = 'off';
+const codecOverrides = new Map();
+let codecFormUrl = null;
+let currentWaveform = null;
 let currentSource = null;
 let isPlaying = false;
 let isPaused = false;
@@ -113,6 +214,19 @@ let currentSong = null;
 let mediaSessionBound = false;
 let playbackId = 0;
 let currentFetchController = null;
+let streamWorkletPromise = null;
+let isSeekDragging = false;
+let pendingResume = null;
+let repeatMode = 'off';
+let shuffleEnabled = false;
+let shuffleOrder = { key: '', ids: [] };
+let crossfadeSeconds = 0;
+let playbackRate = 1;
+let nextTrack = null;
+const fadingSources = new Set();
+let playbackListName = null;
+const queueCycleIds = new Set();
+let lastPlaybackStateSave = 0;
 
 function makeSongRecord(song) {
 	const record = { ...(song || {}) };
@@ -317,6 +431,7 @@ function buildThemePalette(seedHex) {
 function applyThemeSeed(seedHex, { persist = true } = {}) {
 	const normalized = normalizeHexColor(seedHex) || DEFAULT_THEME_SEED;
 	const palette = buildThemePalette(normalized);
+	themePalette = palette;
 	const rootStyle = document.documentElement.style;
 
 	rootStyle.setProperty('--bg', palette.backgroundHex);
@@ -348,6 +463,8 @@ function applyThemeSeed(seedHex, { persist = true } = {}) {
 		metaThemeColorEl.setAttribute('content', palette.backgroundHex);
 	}
 
+	drawWaveform();
+
 	if (persist) {
 		localStorage.setItem(THEME_STORAGE_KEY, normalized);
 	}
@@ -357,14 +474,6 @@ function loadSavedThemeSeed() {
 	const stored = localStorage.getItem(THEME_STORAGE_KEY);
 	return normalizeHexColor(stored) || DEFAULT_THEME_SEED;
 }
-function cleanTitle(raw) {
-	try {
-		const title = raw.split('/').pop().replace(/\.dfpwm$/i, '');
-		return title.replace(/\(.*?\)|\[.*?\]/g, '').trim();
-	} catch {
-		return raw || 'Unknown title';
-	}
-}
 
 function songDisplayTitle(song) {
 	return cleanTitle(song?.title || song?.url || 'Unknown title');
@@ -374,6 +483,7 @@ function songDisplayMeta(song) {
 	const parts = [];
 	if (song?.artist) parts.push(song.artist);
 	if (song?.album) parts.push(song.album);
+	if (song?.duration > 0) parts.push(formatTime(song.duration));
 	return parts.join(' • ') || 'DFPWM Stream';
 }
 
@@ -388,6 +498,7 @@ function setStatus(message, tone = 'idle') {
 
 function updateNowPlayingInfo(song = currentSong) {
 	if (!song) {
+		showWaveform(null);
 		if (nowPlayingTitleEl) nowPlayingTitleEl.textContent = 'Nothing playing';
 		if (nowPlayingMetaEl) nowPlayingMetaEl.textContent = 'Select a song, cache what you want offline, or queue a run.';
 		if (elapsedEl) elapsedEl.textContent = '0:00';
@@ -395,24 +506,152 @@ function updateNowPlayingInfo(song = currentSong) {
 		return;
 	}
 
+	showWaveform(song.url);
+	renderNormalizationInfo();
 	if (nowPlayingTitleEl) nowPlayingTitleEl.textContent = songDisplayTitle(song);
 	if (nowPlayingMetaEl) nowPlayingMetaEl.textContent = songDisplayMeta(song);
 	if (durationEl) durationEl.textContent = formatTime(totalDuration);
 }
 
+function listBadgeText(listName) {
+	const total = getListByName(listName).length;
+	if (!getSearchTokens().length) return String(total);
+	return `${getListView(listName).length} / ${total}`;
+}
+
 function updateCounters() {
 	if (countPublicEl) countPublicEl.textContent = String(publicSongs.length);
 	if (countLocalEl) countLocalEl.textContent = String(localSongs.length);
 	if (countQueueEl) countQueueEl.textContent = String(queueSongs.length);
-	if (publicListBadgeEl) publicListBadgeEl.textContent = String(publicSongs.length);
-	if (localListBadgeEl) localListBadgeEl.textContent = String(localSongs.length);
-	if (queueListBadgeEl) queueListBadgeEl.textContent = String(queueSongs.length);
+	if (publicListBadgeEl) publicListBadgeEl.textContent = listBadgeText('public');
+	if (localListBadgeEl) localListBadgeEl.textContent = listBadgeText('local');
+	if (queueListBadgeEl) queueListBadgeEl.textContent = listBadgeText('queue');
+	if (playlistListBadgeEl) playlistListBadgeEl.textContent = listBadgeText('playlist');
+}
+
+function getSearchTokens() {
+	return searchQuery.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+function songMatchesSearch(song, tokens) {
+	if (!tokens.length) return true;
+	const haystack = `${songDisplayTitle(song)} ${songDisplayMeta(song)}`.toLowerCase();
+	return tokens.every(token => haystack.includes(token));
+}
+
+function compareText(a, b) {
+	if (!a && b) return 1;
+	if (a && !b) return -1;
+	return String(a || '').localeCompare(String(b || ''), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+function compareSongs(a, b) {
+	if (sortMode === 'title') {
+		return compareText(songDisplayTitle(a.song), songDisplayTitle(b.song));
+	}
+	if (sortMode === 'artist' || sortMode === 'album') {
+		return compareText(a.song[sortMode], b.song[sortMode])
+			|| compareText(songDisplayTitle(a.song), songDisplayTitle(b.song));
+	}
+	if (sortMode === 'recent') {
+		return (b.cachedAt - a.cachedAt) || (a.index - b.index);
+	}
+	return a.index - b.index;
+}
+
+function getListView(listName) {
+	const list = getListByName(listName);
+	const tokens = getSearchTokens();
+	const cachedAtByUrl = new Map(localSongs.map(song => [song.url, song.cachedAt || 0]));
+	const entries = list
+		.map((song, index) => ({ song, index, cachedAt: cachedAtByUrl.get(song.url) || 0 }))
+		.filter(entry => songMatchesSearch(entry.song, tokens));
+
+	// Queue and playlist order is user-defined, so only the library lists are sorted.
+	if (sortMode !== 'default' && (listName === 'public' || listName === 'local')) {
+		entries.sort(compareSongs);
+	}
+	return entries;
+}
+
+function appendHighlighted(target, text, tokens) {
+	if (!tokens.length) {
+		target.textContent = text;
+		return;
+	}
+
+	const lower = text.toLowerCase();
+	const marked = new Array(text.length).fill(false);
+	tokens.forEach(token => {
+		let from = lower.indexOf(token);
+		while (from >= 0) {
+			marked.fill(true, from, from + token.length);
+			from = lower.indexOf(token, from + token.length);
+		}
+	});
+
+	let start = 0;
+	while (start < text.length) {
+		let end = start;
+		while (end < text.length && marked[end] === marked[start]) end++;
+		const segment = text.slice(start, end);
+		if (marked[start]) {
+			const mark = document.createElement('mark');
+			mark.textContent = segment;
+			target.appendChild(mark);
+		} else {
+			target.appendChild(document.createTextNode(segment));
+		}
+		start = end;
+	}
+}
+
+function loadLibraryView() {
+	try {
+		const stored = JSON.parse(localStorage.getItem(LIBRARY_VIEW_STORAGE_KEY) || 'null');
+		if (SORT_MODES.includes(stored?.sort)) sortMode = stored.sort;
+	} catch (err) {
+		console.warn('Failed to load library view settings', err);
+	}
+	if (sortSelectEl) sortSelectEl.value = sortMode;
+}
+
+function moveFilteredSelection(delta) {
+	const listOrder = FILTERED_LISTS.filter(listName => getListView(listName).length);
+	if (!listOrder.length) return;
+
+	let listPosition = listOrder.indexOf(selectedList);
+	let view = listPosition >= 0 ? getListView(selectedList) : [];
+	let position = view.findIndex(entry => entry.index === selectedIndex);
+
+	if (listPosition < 0 || position < 0) {
+		listPosition = delta > 0 ? 0 : listOrder.length - 1;
+		view = getListView(listOrder[listPosition]);
+		position = delta > 0 ? 0 : view.length - 1;
+	} else {
+		position += delta;
+		if (position < 0 || position >= view.length) {
+			listPosition = (listPosition + (delta > 0 ? 1 : -1) + listOrder.length) % listOrder.length;
+			view = getListView(listOrder[listPosition]);
+			position = delta > 0 ? 0 : view.length - 1;
+		}
+	}
+
+	selectedList = listOrder[listPosition];
+	selectedIndex = view[position].index;
+	renderLists();
+	document.querySelector('.song.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+function getActivePlaylist() {
+	return playlists.find(playlist => playlist.id === activePlaylistId) || null;
 }
 
 function getListByName(name) {
 	if (name === 'public') return publicSongs;
 	if (name === 'local') return localSongs;
 	if (name === 'queue') return queueSongs;
+	if (name === 'playlist') return getActivePlaylist()?.songs || [];
 	return publicSongs;
 }
 
@@ -464,6 +703,14 @@ function inferSongMetadata(url) {
 	return makeSongRecord({ url, title: cleanTitle(fileName) });
 }
 
+function isImportedSongUrl(url) {
+	try {
+		return new URL(url).href.startsWith(new URL(IMPORTED_SONG_PATH, location.href).href);
+	} catch {
+		return false;
+	}
+}
+
 function isSongUrl(url) {
 	try {
 		return new URL(url).pathname.toLowerCase().endsWith('.dfpwm');
@@ -479,25 +726,62 @@ function updateActionState() {
 	const canCache = selectedList === 'public' && !!selectedSong;
 	const canRemoveLocal = selectedList === 'local' && !!selectedSong;
 	const canRemoveQueue = selectedList === 'queue' && !!selectedSong;
-	const canRemove = canRemoveLocal || canRemoveQueue;
+	const canRemovePlaylist = selectedList === 'playlist' && !!selectedSong;
+	const canRemove = canRemoveLocal || canRemoveQueue || canRemovePlaylist;
+	const activePlaylist = getActivePlaylist();
 
 	if (playBtn) playBtn.disabled = !canPlay;
 	if (pauseBtn) pauseBtn.disabled = !isPlaying;
 	if (stopBtn) stopBtn.disabled = !isPlaying && !isPaused;
 	if (queueAddBtn) queueAddBtn.disabled = !canQueueAdd;
 	if (cacheBtn) cacheBtn.disabled = !canCache;
+	if (refetchBtn) refetchBtn.disabled = !selectedSong || !cacheIntegrity.has(selectedSong.url) || !!cacheJob;
+	if (refetchDamagedBtn) {
+		refetchDamagedBtn.disabled = !cacheIntegrity.size || !!cacheJob;
+		refetchDamagedBtn.textContent = cacheIntegrity.size ? `Re-fetch Damaged (${cacheIntegrity.size})` : 'Re-fetch Damaged';
+	}
+	if (exportBtn) exportBtn.disabled = !selectedSong;
 	if (removeBtn) removeBtn.disabled = !canRemove;
 	if (clearQueueBtn) clearQueueBtn.disabled = queueSongs.length === 0;
+	if (playlistAddBtn) playlistAddBtn.disabled = !selectedSong || selectedList === 'playlist';
+	if (playlistRenameBtn) playlistRenameBtn.disabled = !activePlaylist;
+	if (playlistDeleteBtn) playlistDeleteBtn.disabled = !activePlaylist;
+	if (playlistLoadBtn) playlistLoadBtn.disabled = !activePlaylist?.songs.length;
+	if (cacheAllBtn) cacheAllBtn.disabled = !!cacheJob || !publicSongs.length;
+	if (cacheFilteredBtn) cacheFilteredBtn.disabled = !!cacheJob || !getSearchTokens().length || !getListView('public').length;
+	if (cachePlaylistBtn) cachePlaylistBtn.disabled = !!cacheJob || !activePlaylist?.songs.length;
+	if (cacheCancelBtn) cacheCancelBtn.disabled = !cacheJob || cacheJob.cancelled;
+	if (cacheRetryBtn) cacheRetryBtn.disabled = !!cacheJob || !lastFailedCacheUrls.length;
+	if ((selectedSong?.url || null) !== codecFormUrl) renderCodecControls();
 
 	if (selectedList === 'local') {
 		if (removeBtn) removeBtn.textContent = 'Remove Local Copy';
 	} else if (selectedList === 'queue') {
 		if (removeBtn) removeBtn.textContent = 'Remove from Queue';
+	} else if (selectedList === 'playlist') {
+		if (removeBtn) removeBtn.textContent = 'Remove from Playlist';
 	} else {
 		if (removeBtn) removeBtn.textContent = 'Remove';
 	}
 
 	if (pauseBtn) pauseBtn.textContent = isPaused ? 'Resume' : 'Pause';
+	if (shuffleBtn) {
+		shuffleBtn.textContent = `Shuffle: ${shuffleEnabled ? 'On' : 'Off'}`;
+		shuffleBtn.setAttribute('aria-pressed', String(shuffleEnabled));
+	}
+	if (repeatBtn) {
+		repeatBtn.textContent = `Repeat: ${REPEAT_MODE_LABELS[repeatMode]}`;
+		repeatBtn.setAttribute('aria-pressed', String(repeatMode !== 'off'));
+	}
+
+	if (resumeBtn) {
+		const showResume = !!pendingResume && !isPlaying;
+		resumeBtn.hidden = !showResume;
+		if (showResume) {
+			const position = resumePositionToggleEl?.checked === false ? 0 : pendingResume.position;
+			resumeBtn.textContent = position > 0 ? `Resume at ${formatTime(position)}` : 'Play Last Song';
+		}
+	}
 }
 
 function renderSongItem(song, index, listName) {
@@ -505,13 +789,33 @@ function renderSongItem(song, index, listName) {
 	div.className = 'song' + (selectedList === listName && index === selectedIndex ? ' active' : '');
 	div.draggable = true;
 
+	div.dataset.index = String(index);
+	const tokens = getSearchTokens();
+
 	const title = document.createElement('div');
 	title.className = 'song-title';
-	title.textContent = songDisplayTitle(song);
+	appendHighlighted(title, songDisplayTitle(song), tokens);
 
 	const meta = document.createElement('div');
 	meta.className = 'song-meta';
-	meta.textContent = songDisplayMeta(song);
+	appendHighlighted(meta, songDisplayMeta(song), tokens);
+
+	if (listName === 'public' && song.source && librarySources.length > 1) {
+		const tag = document.createElement('span');
+		tag.className = 'song-source';
+		tag.textContent = song.source;
+		meta.append(' ', tag);
+	}
+
+	const integrity = listName === 'local' ? cacheIntegrity.get(song.url) : null;
+	if (integrity) {
+		div.classList.add('damaged');
+		const flag = document.createElement('span');
+		flag.className = 'song-source song-flag';
+		flag.textContent = integrity.state === 'truncated' ? 'Truncated' : 'Mismatch';
+		flag.title = integrity.message;
+		meta.append(' ', flag);
+	}
 
 	div.append(title, meta);
 
@@ -519,6 +823,11 @@ function renderSongItem(song, index, listName) {
 		if (listName === 'queue') {
 			event.dataTransfer.setData('text/queue-index', String(index));
 			event.dataTransfer.effectAllowed = 'move';
+		} else if (listName === 'playlist') {
+			event.dataTransfer.setData('text/playlist-index', String(index));
+			event.dataTransfer.setData('text/song-url', song.url);
+			event.dataTransfer.setData('text/song-source', listName);
+			event.dataTransfer.effectAllowed = 'copyMove';
 		} else {
 			event.dataTransfer.setData('text/song-url', song.url);
 			event.dataTransfer.setData('text/song-source', listName);
@@ -545,15 +854,16 @@ function renderSongItem(song, index, listName) {
 function renderList(target, songsArr, listName, emptyMessage) {
 	if (!target) return;
 	target.innerHTML = '';
-	if (!songsArr.length) {
+	const entries = songsArr.length ? getListView(listName) : [];
+	if (!entries.length) {
 		const empty = document.createElement('div');
 		empty.className = 'empty-list';
-		empty.textContent = emptyMessage;
+		empty.textContent = songsArr.length ? `No songs match “${searchQuery.trim()}”.` : emptyMessage;
 		target.appendChild(empty);
 		return;
 	}
 
-	songsArr.forEach((song, index) => {
+	entries.forEach(({ song, index }) => {
 		target.appendChild(renderSongItem(song, index, listName));
 	});
 }
@@ -561,10 +871,19 @@ function renderList(target, songsArr, listName, emptyMessage) {
 function renderLists() {
 	clampSelection();
 	renderList(listPublicEl, publicSongs, 'public', 'No public songs available yet.');
-	renderList(listLocalEl, localSongs, 'local', 'No cached songs yet. Cache something from Public Songs.');
+	renderList(listLocalEl, localSongs, 'local', 'No cached songs yet. Cache something from Public Songs or import an audio file.');
 	renderList(listQueueEl, queueSongs, 'queue', 'Queue is empty. Drag songs here or use Add to Queue.');
+	renderPlaylistControls();
+	renderList(
+		listPlaylistEl,
+		getListByName('playlist'),
+		'playlist',
+		playlists.length ? 'Playlist is empty. Drag songs here from Public or Local.' : 'No playlists yet. Create one or drop a song here.'
+	);
 	updateCounters();
 	updateActionState();
+	savePlaybackState();
+	if (isPlaying) prepareNextTrack();
 }
 
 function ensureAudio() {
@@ -573,6 +892,10 @@ function ensureAudio() {
 		gainNode = audioCtx.createGain();
 		gainNode.gain.value = parseFloat(volumeEl?.value || '0.5');
 		gainNode.connect(audioCtx.destination);
+		analyserNode = audioCtx.createAnalyser();
+		analyserNode.fftSize = 2048;
+		analyserNode.smoothingTimeConstant = 0.75;
+		buildFilterChain();
 		audioCtx.onstatechange = () => {
 			if (audioCtx.state === 'suspended' && isPlaying && !isPaused) {
 				audioCtx.resume().catch(() => {});
@@ -585,6 +908,183 @@ function ensureAudio() {
 	}
 }
 
+function buildFilterChain() {
+	const bands = EQ_BANDS.map((frequency, index) => {
+		const band = audioCtx.createBiquadFilter();
+		band.type = index === 0 ? 'lowshelf' : index === EQ_BANDS.length - 1 ? 'highshelf' : 'peaking';
+		band.frequency.value = frequency;
+		band.Q.value = 1.1;
+		return band;
+	});
+	const dehiss = audioCtx.createBiquadFilter();
+	dehiss.type = 'lowpass';
+	dehiss.Q.value = 0.707;
+	const limiter = audioCtx.createDynamicsCompressor();
+	limiter.threshold.value = -6;
+	limiter.knee.value = 0;
+	limiter.ratio.value = 20;
+	limiter.attack.value = 0.003;
+	limiter.release.value = 0.25;
+	filterNodes = { bands, dehiss, limiter };
+	applyFilterSettings();
+}
+
+// Rewires analyser -> [EQ bands -> de-hiss -> limiter] -> gainNode, skipping whatever is switched off.
+function applyFilterSettings() {
+	if (!filterNodes) return;
+	const { bands, dehiss, limiter } = filterNodes;
+	const now = audioCtx.currentTime;
+	bands.forEach((band, index) => band.gain.setTargetAtTime(filterSettings.gains[index] || 0, now, 0.02));
+	dehiss.frequency.setTargetAtTime(filterSettings.dehissFrequency, now, 0.02);
+
+	const chain = [analyserNode];
+	if (filterSettings.enabled) {
+		chain.push(...bands);
+		if (filterSettings.dehiss) chain.push(dehiss);
+		if (filterSettings.limiter) chain.push(limiter);
+	}
+	chain.push(gainNode);
+
+	[analyserNode, ...bands, dehiss, limiter].forEach(node => node.disconnect());
+	for (let i = 0; i < chain.length - 1; i++) chain[i].connect(chain[i + 1]);
+}
+
+function saveFilterSettings() {
+	localStorage.setItem(FILTER_STORAGE_KEY, JSON.stringify(filterSettings));
+}
+
+function loadFilterSettings() {
+	try {
+		const stored = JSON.parse(localStorage.getItem(FILTER_STORAGE_KEY) || 'null');
+		if (!stored || typeof stored !== 'object') return;
+		filterSettings = {
+			enabled: stored.enabled !== false,
+			preset: EQ_PRESETS[stored.preset] ? stored.preset : 'custom',
+			gains: EQ_BANDS.map((frequency, index) => clamp(Number(stored.gains?.[index]) || 0, -EQ_GAIN_LIMIT_DB, EQ_GAIN_LIMIT_DB)),
+			dehiss: stored.dehiss === true,
+			dehissFrequency: clamp(Number(stored.dehissFrequency) || DEHISS_DEFAULT_HZ, 2000, 16000),
+			limiter: stored.limiter === true
+		};
+	} catch (err) {
+		console.warn('Failed to load filter settings', err);
+	}
+}
+
+function formatFrequency(hz) {
+	return hz >= 1000 ? `${+(hz / 1000).toFixed(1)} kHz` : `${hz} Hz`;
+}
+
+function renderFilterControls() {
+	if (filtersEnabledEl) filtersEnabledEl.checked = filterSettings.enabled;
+	if (eqPresetEl) eqPresetEl.value = filterSettings.preset;
+	if (dehissToggleEl) dehissToggleEl.checked = filterSettings.dehiss;
+	if (dehissFrequencyEl) dehissFrequencyEl.value = String(filterSettings.dehissFrequency);
+	if (dehissValueEl) dehissValueEl.textContent = formatFrequency(filterSettings.dehissFrequency);
+	if (limiterToggleEl) limiterToggleEl.checked = filterSettings.limiter;
+	eqBandsEl?.querySelectorAll('input').forEach((input, index) => {
+		input.value = String(filterSettings.gains[index]);
+		input.nextElementSibling.textContent = `${filterSettings.gains[index] > 0 ? '+' : ''}${filterSettings.gains[index]} dB`;
+	});
+}
+
+function updateFilterSettings(changes) {
+	filterSettings = { ...filterSettings, ...changes };
+	saveFilterSettings();
+	renderFilterControls();
+	applyFilterSettings();
+}
+
+function buildFilterControls() {
+	if (eqPresetEl) {
+		Object.entries(EQ_PRESETS).forEach(([value, preset]) => eqPresetEl.add(new Option(preset.label, value)));
+		eqPresetEl.add(new Option('Custom', 'custom'));
+	}
+	if (!eqBandsEl) return;
+	EQ_BANDS.forEach((frequency, index) => {
+		const row = document.createElement('label');
+		row.className = 'eq-band';
+		const name = document.createElement('span');
+		name.textContent = formatFrequency(frequency);
+		const input = document.createElement('input');
+		input.type = 'range';
+		input.className = 'volume';
+		input.min = String(-EQ_GAIN_LIMIT_DB);
+		input.max = String(EQ_GAIN_LIMIT_DB);
+		input.step = '1';
+		input.addEventListener('input', () => {
+			const gains = [...filterSettings.gains];
+			gains[index] = parseFloat(input.value) || 0;
+			updateFilterSettings({ gains, preset: 'custom' });
+		});
+		const value = document.createElement('span');
+		value.className = 'song-meta';
+		row.append(name, input, value);
+		eqBandsEl.appendChild(row);
+	});
+}
+
+function ensureStreamWorklet() {
+	if (!audioCtx?.audioWorklet || typeof AudioWorkletNode === 'undefined') return Promise.resolve(false);
+	if (!streamWorkletPromise) {
+		streamWorkletPromise = audioCtx.audioWorklet.addModule(STREAM_WORKLET_URL)
+			.then(() => true)
+			.catch(err => {
+				console.warn('AudioWorklet unavailable, falling back to buffered playback', err);
+				return false;
+			});
+	}
+	return streamWorkletPromise;
+}
+
+function teardownSource(source) {
+	if (!source) return;
+	if (source.port) {
+		source.port.onmessage = null;
+		try {
+			source.port.close();
+		} catch {
+			// ignored
+		}
+		source.stream?.wake();
+	} else {
+		try {
+			source.onended = null;
+			source.stop();
+		} catch {
+			// ignored
+		}
+	}
+	try {
+		source.disconnect();
+	} catch {
+		// ignored
+	}
+	if (source.levelGain) source.levelGain.disconnect();
+	if (source.trackGain) source.trackGain.disconnect();
+}
+
+function createTrackGain() {
+	const trackGain = audioCtx.createGain();
+	trackGain.connect(analyserNode);
+	return trackGain;
+}
+
+// Each source gets its own level (normalisation) and fade (crossfade) gain in front of the shared chain.
+function connectTrackOutput(source, song) {
+	source.trackGain = createTrackGain();
+	source.levelGain = audioCtx.createGain();
+	source.levelGain.gain.value = normalizationGain(song);
+	source.levelGain.connect(source.trackGain);
+	source.connect(source.levelGain);
+}
+
+function resetTrackFade(source) {
+	if (!source?.trackGain) return;
+	const { gain } = source.trackGain;
+	gain.cancelScheduledValues(0);
+	gain.setValueAtTime(1, audioCtx.currentTime);
+}
+
 function clearMediaSessionState() {
 	if (!('mediaSession' in navigator)) return;
 	navigator.mediaSession.playbackState = 'none';
@@ -603,18 +1103,12 @@ function stop({ preserveCurrentSong = false } = {}) {
 		currentFetchController = null;
 	}
 
+	discardNextTrack();
+	fadingSources.forEach(teardownSource);
+	fadingSources.clear();
+
 	if (currentSource) {
-		try {
-			currentSource.onended = null;
-			currentSource.stop();
-		} catch {
-			// ignored
-		}
-		try {
-			currentSource.disconnect();
-		} catch {
-			// ignored
-		}
+		teardownSource(currentSource);
 		currentSource = null;
 	}
 
@@ -633,6 +1127,8 @@ function stop({ preserveCurrentSong = false } = {}) {
 	}
 
 	clearMediaSessionState();
+	clearVisualizer();
+	savePlaybackState();
 	updateActionState();
 }
 
@@ -641,16 +1137,18 @@ async function togglePause() {
 	if (!isPaused) {
 		await audioCtx.suspend();
 		isPaused = true;
-		pauseOffset = audioCtx.currentTime - startTime;
+		pauseOffset = (audioCtx.currentTime - startTime) * playbackRate;
 		setMediaPlaybackState('paused', pauseOffset);
 		setStatus(`Paused ${songDisplayTitle(currentSong)}`, 'paused');
 	} else {
 		await audioCtx.resume();
 		isPaused = false;
-		startTime = audioCtx.currentTime - pauseOffset;
+		startTime = audioCtx.currentTime - pauseOffset / playbackRate;
 		setMediaPlaybackState('playing', pauseOffset);
 		setStatus(`Playing ${songDisplayTitle(currentSong)}`, 'playing');
+		scheduleNextTrack();
 	}
+	savePlaybackState();
 	updateActionState();
 }
 
@@ -659,7 +1157,8 @@ function setMediaMetadata(song) {
 	navigator.mediaSession.metadata = new MediaMetadata({
 		title: songDisplayTitle(song),
 		artist: song.artist || 'DFPWM Stream',
-		album: song.album || 'DFPWM Jukebox'
+		album: song.album || 'DFPWM Jukebox',
+		artwork: song.cover ? [{ src: song.cover }] : []
 	});
 }
 
@@ -675,7 +1174,7 @@ function syncMediaPosition(positionSeconds) {
 		if (typeof navigator.mediaSession.setPositionState === 'function' && totalDuration > 0) {
 			navigator.mediaSession.setPositionState({
 				duration: totalDuration,
-				playbackRate: 1,
+				playbackRate,
 				position: Math.max(0, Math.min(positionSeconds, totalDuration))
 			});
 		}
@@ -693,6 +1192,10 @@ function bindMediaControls() {
 			togglePause();
 			return;
 		}
+		if (pendingResume && !isPlaying) {
+			resumeSavedPlayback();
+			return;
+		}
 		if (currentSong && !isPlaying) {
 			playSong(currentSong);
 			return;
@@ -703,144 +1206,1046 @@ function bindMediaControls() {
 	navigator.mediaSession.setActionHandler('stop', () => stop());
 	navigator.mediaSession.setActionHandler('previoustrack', () => skipTrack(-1));
 	navigator.mediaSession.setActionHandler('nexttrack', () => skipTrack(1));
+
+	const seekHandlers = {
+		seekto: details => seekTo(details.seekTime),
+		seekbackward: details => seekTo(getPlaybackPosition() - (details.seekOffset || SEEK_STEP_SECONDS)),
+		seekforward: details => seekTo(getPlaybackPosition() + (details.seekOffset || SEEK_STEP_SECONDS))
+	};
+	for (const [action, handler] of Object.entries(seekHandlers)) {
+		try {
+			navigator.mediaSession.setActionHandler(action, handler);
+		} catch {
+			// unsupported action
+		}
+	}
 }
 
-function updateProgress() {
-	if (!isPlaying || !currentSource) return;
-	const elapsed = isPaused ? pauseOffset : (audioCtx.currentTime - startTime);
+function getPlaybackPosition() {
+	if (!isPlaying || !audioCtx) return 0;
+	return isPaused ? pauseOffset : (audioCtx.currentTime - startTime) * playbackRate;
+}
+
+function renderProgress(elapsed) {
 	const pct = totalDuration > 0 ? Math.min(100 * (elapsed / totalDuration), 100) : 0;
 	if (barEl) barEl.style.width = `${pct.toFixed(1)}%`;
+	if (progressEl) progressEl.setAttribute('aria-valuenow', pct.toFixed(0));
 	if (elapsedEl) elapsedEl.textContent = formatTime(elapsed);
 	if (durationEl) durationEl.textContent = formatTime(totalDuration);
+}
+
+function updateProgress() {
+	if (!isPlaying || !currentSource) return;
+	const elapsed = getPlaybackPosition();
+	if (!isSeekDragging) renderProgress(elapsed);
 	syncMediaPosition(elapsed);
+	renderVisualizer();
+	if (Date.now() - lastPlaybackStateSave >= PLAYBACK_STATE_SAVE_INTERVAL_MS) savePlaybackState();
 	requestAnimationFrame(updateProgress);
 }
 
-async function readResponseBodyAsDfpwmChunks(response, playId, controller) {
-	const decoder = new DFPWM();
-	const chunks = [];
-	let totalSamples = 0;
-
-	if (!response.body) {
-		const bytes = new Uint8Array(await response.arrayBuffer());
-		const pcm = decoder.decode(bytes);
-		chunks.push(pcm);
-		totalSamples += pcm.length;
-		return { chunks, totalSamples };
-	}
+function prepareVisualizerCanvas() {
+	const ratio = window.devicePixelRatio || 1;
+	const width = Math.round(visualizerCanvasEl.clientWidth * ratio);
+	const height = Math.round(visualizerCanvasEl.clientHeight * ratio);
+	if (visualizerCanvasEl.width !== width) visualizerCanvasEl.width = width;
+	if (visualizerCanvasEl.height !== height) visualizerCanvasEl.height = height;
+	const ctx = visualizerCanvasEl.getContext('2d');
+	ctx.clearRect(0, 0, width, height);
+	return { ctx, width, height };
+}
 
-	const reader = response.body.getReader();
+function clearVisualizer() {
+	if (visualizerCanvasEl) prepareVisualizerCanvas();
+}
 
-	while (true) {
-		const { value, done } = await reader.read();
-		if (done) break;
-		if (playId !== playbackId) {
-			try {
-				controller.abort();
-			} catch {
-				// ignored
-			}
-			return { chunks: [], totalSamples: 0, aborted: true };
-		}
-		const pcm = decoder.decode(value);
-		chunks.push(pcm);
-		totalSamples += pcm.length;
+function drawOscilloscope(ctx, width, height) {
+	analyserNode.getFloatTimeDomainData(visualizerSamples);
+	ctx.strokeStyle = themePalette.mutedHex;
+	ctx.globalAlpha = 0.35;
+	ctx.beginPath();
+	ctx.moveTo(0, height / 2);
+	ctx.lineTo(width, height / 2);
+	ctx.stroke();
+
+	ctx.globalAlpha = 1;
+	ctx.strokeStyle = themePalette.accentHex;
+	ctx.lineWidth = Math.max(1, height / 60);
+	ctx.beginPath();
+	const step = width / (visualizerSamples.length - 1);
+	for (let i = 0; i < visualizerSamples.length; i++) {
+		const y = (0.5 - clamp(visualizerSamples[i], -1, 1) / 2) * height;
+		if (i === 0) ctx.moveTo(0, y);
+		else ctx.lineTo(i * step, y);
 	}
+	ctx.stroke();
+}
 
-	return { chunks, totalSamples };
+function drawSpectrum(ctx, width, height) {
+	analyserNode.getByteFrequencyData(visualizerBins);
+	const gradient = ctx.createLinearGradient(0, height, 0, 0);
+	gradient.addColorStop(0, themePalette.accentDarkHex);
+	gradient.addColorStop(1, themePalette.accentHoverHex);
+	ctx.fillStyle = gradient;
+
+	// Logarithmic bands so the low end, where most DFPWM energy sits, is not squashed into a few pixels.
+	const barWidth = width / VISUALIZER_SPECTRUM_BARS;
+	const maxBin = visualizerBins.length;
+	for (let bar = 0; bar < VISUALIZER_SPECTRUM_BARS; bar++) {
+		const from = Math.floor(maxBin ** (bar / VISUALIZER_SPECTRUM_BARS));
+		const to = Math.max(from + 1, Math.floor(maxBin ** ((bar + 1) / VISUALIZER_SPECTRUM_BARS)));
+		let peak = 0;
+		for (let bin = from; bin < to && bin < maxBin; bin++) peak = Math.max(peak, visualizerBins[bin]);
+		const barHeight = (peak / 255) * height;
+		ctx.fillRect(bar * barWidth + 1, height - barHeight, Math.max(1, barWidth - 2), barHeight);
+	}
 }
 
-function playBuffered(chunks, totalSamples, song, playId, options = {}) {
-	if (!audioCtx) throw new Error('Audio context is not ready.');
-	if (!totalSamples) throw new Error('Song decoded to zero samples.');
+// Shows the song's own bitstream: the bytes that were decoded for the window just played.
+function currentDfpwmBytes() {
+	const stream = currentSource?.stream;
+	if (stream) return { bytes: stream.data, base: stream.base, length: stream.length, sampleRate: stream.sampleRate };
+	const bytes = currentSource?.dfpwmBytes;
+	return bytes ? { bytes, base: 0, length: bytes.length, sampleRate: currentSource.buffer.sampleRate } : null;
+}
 
-	const audioBuffer = audioCtx.createBuffer(1, totalSamples, audioCtx.sampleRate);
-	const data = audioBuffer.getChannelData(0);
-	let offset = 0;
-	for (const chunk of chunks) {
-		data.set(chunk, offset);
-		offset += chunk.length;
+function drawBitPattern(ctx, width, height) {
+	const source = currentDfpwmBytes();
+	const windowBytes = visualizerSamples.length >> 3;
+	const rows = Math.floor((windowBytes * 8) / VISUALIZER_BIT_COLUMNS);
+	if (!source || !rows) return;
+
+	const playedByte = Math.floor((getPlaybackPosition() * source.sampleRate) / 8) - source.base;
+	const end = clamp(playedByte, 0, source.length);
+	const start = end - windowBytes;
+	const cellWidth = width / VISUALIZER_BIT_COLUMNS;
+	const cellHeight = height / rows;
+
+	for (let row = 0; row < rows; row++) {
+		for (let column = 0; column < VISUALIZER_BIT_COLUMNS; column++) {
+			const bit = row * VISUALIZER_BIT_COLUMNS + column;
+			const index = start + (bit >> 3);
+			const on = index >= 0 && (source.bytes[index] >> (bit & 7)) & 1;
+			ctx.fillStyle = on ? themePalette.accentHex : themePalette.panelHex3;
+			ctx.fillRect(column * cellWidth, row * cellHeight, Math.max(1, cellWidth - 1), Math.max(1, cellHeight - 1));
+		}
 	}
+}
 
-	const src = audioCtx.createBufferSource();
-	src.buffer = audioBuffer;
-	src.connect(gainNode);
-	src.start();
-
-	currentSource = src;
-	currentSong = song;
-	totalDuration = audioBuffer.duration;
-	startTime = audioCtx.currentTime;
-	pauseOffset = 0;
-	isPlaying = true;
-	isPaused = false;
+function renderVisualizer() {
+	if (!visualizerCanvasEl || !analyserNode || document.hidden || isPaused) return;
+	const { ctx, width, height } = prepareVisualizerCanvas();
+	if (visualizerMode === 'off' || !width || !height) return;
 
-	if (options.dequeueQueueId) {
-		removeQueueSongById(options.dequeueQueueId);
+	if (!visualizerSamples || visualizerSamples.length !== analyserNode.fftSize) {
+		visualizerSamples = new Float32Array(analyserNode.fftSize);
+		visualizerBins = new Uint8Array(analyserNode.frequencyBinCount);
 	}
 
-	setMediaMetadata(song);
-	setMediaPlaybackState('playing', 0);
-	setStatus(`Playing ${songDisplayTitle(song)}`, 'playing');
-	updateNowPlayingInfo(song);
-	renderLists();
+	if (visualizerMode === 'spectrum') drawSpectrum(ctx, width, height);
+	else if (visualizerMode === 'bits') drawBitPattern(ctx, width, height);
+	else drawOscilloscope(ctx, width, height);
+}
 
-	src.onended = () => handleTrackEnd(playId);
-	updateProgress();
+function loadVisualizerMode() {
+	const stored = localStorage.getItem(VISUALIZER_STORAGE_KEY);
+	if (VISUALIZER_MODES.includes(stored)) visualizerMode = stored;
+	if (visualizerModeEl) visualizerModeEl.value = visualizerMode;
+	if (visualizerCanvasEl) visualizerCanvasEl.hidden = visualizerMode === 'off';
 }
 
-async function playUrlStreamed(song, options = {}) {
-	if (!song?.url) return;
+function createWaveformBuilder(totalSamples) {
+	return {
+		totalSamples,
+		position: 0,
+		min: new Float32Array(WAVEFORM_BUCKETS).fill(1),
+		max: new Float32Array(WAVEFORM_BUCKETS).fill(-1)
+	};
+}
 
-	const playId = ++playbackId;
-	currentSong = song;
-	updateNowPlayingInfo(song);
-	setStatus(`Loading ${songDisplayTitle(song)}…`, 'loading');
+function addWaveformSamples(builder, pcm) {
+	const scale = WAVEFORM_BUCKETS / builder.totalSamples;
+	for (let i = 0; i < pcm.length; i++) {
+		const bucket = Math.min(WAVEFORM_BUCKETS - 1, Math.floor((builder.position + i) * scale));
+		const value = pcm[i];
+		if (value < builder.min[bucket]) builder.min[bucket] = value;
+		if (value > builder.max[bucket]) builder.max[bucket] = value;
+	}
+	builder.position += pcm.length;
+}
 
-	if (currentFetchController) {
-		currentFetchController.abort();
+function finishWaveform(builder) {
+	const peaks = new Int8Array(WAVEFORM_BUCKETS * 2);
+	for (let bucket = 0; bucket < WAVEFORM_BUCKETS; bucket++) {
+		const empty = builder.min[bucket] > builder.max[bucket];
+		peaks[bucket * 2] = empty ? 0 : Math.round(clamp(builder.min[bucket], -1, 1) * 127);
+		peaks[bucket * 2 + 1] = empty ? 0 : Math.round(clamp(builder.max[bucket], -1, 1) * 127);
 	}
+	return peaks;
+}
 
-	const controller = new AbortController();
-	currentFetchController = controller;
+// Decodes in slices and yields between them so a long song does not stall the page.
+async function decodeInSlices(bytes, consume, codec = {}) {
+	const decoder = new DFPWM(codec);
+	for (let offset = 0; offset < bytes.length; offset += ANALYSIS_SLICE_BYTES) {
+		consume(decoder.decode(bytes.subarray(offset, offset + ANALYSIS_SLICE_BYTES)));
+		await new Promise(resolve => setTimeout(resolve, 0));
+	}
+}
 
-	let response;
+function loadWaveforms() {
 	try {
-		response = await fetch(song.url, { cache: 'force-cache', signal: controller.signal });
+		const stored = JSON.parse(localStorage.getItem(WAVEFORM_STORAGE_KEY) || '{}');
+		for (const [url, encoded] of Object.entries(stored)) {
+			const bytes = Uint8Array.from(atob(encoded), char => char.charCodeAt(0));
+			if (bytes.length === WAVEFORM_BUCKETS * 2) waveformCache.set(url, new Int8Array(bytes.buffer));
+		}
 	} catch (err) {
-		if (currentFetchController === controller) currentFetchController = null;
-		if (err?.name === 'AbortError' || playId !== playbackId) return;
-		throw err;
+		console.warn('Failed to load waveforms', err);
 	}
+}
 
-	if (!response?.ok) {
-		if (currentFetchController === controller) currentFetchController = null;
-		throw new Error(`HTTP ${response?.status || 'fetch failed'}`);
+function saveWaveform(url, peaks) {
+	waveformCache.delete(url);
+	waveformCache.set(url, peaks);
+	while (waveformCache.size > WAVEFORM_CACHE_LIMIT) {
+		waveformCache.delete(waveformCache.keys().next().value);
 	}
 
+	const stored = {};
+	waveformCache.forEach((value, key) => {
+		stored[key] = btoa(String.fromCharCode(...new Uint8Array(value.buffer)));
+	});
 	try {
-		const decoded = await readResponseBodyAsDfpwmChunks(response, playId, controller);
-		if (currentFetchController === controller) currentFetchController = null;
-		if (decoded.aborted || playId !== playbackId) return;
-		playBuffered(decoded.chunks, decoded.totalSamples, song, playId, options);
+		localStorage.setItem(WAVEFORM_STORAGE_KEY, JSON.stringify(stored));
 	} catch (err) {
-		if (currentFetchController === controller) currentFetchController = null;
-		if (err?.name === 'AbortError' || playId !== playbackId) return;
-		throw err;
+		console.warn('Failed to save waveforms', err);
 	}
+	if (url === currentSong?.url) showWaveform(url);
 }
 
-async function playSong(song, options = {}) {
-	if (!song) return;
-	stop({ preserveCurrentSong: true });
-	ensureAudio();
-	try {
-		await playUrlStreamed(song, options);
-	} catch (err) {
-		console.error('Playback failed', err);
-		isPlaying = false;
+// Builds whatever is still missing for a song (waveform, loudness) from PCM or raw DFPWM bytes in one pass.
+function analyseSong(song, source) {
+	const url = song?.url;
+	if (!url) return;
+	const needsWaveform = !waveformCache.has(url);
+	const needsLoudness = !loudnessByUrl.has(url);
+	if (!needsWaveform && !needsLoudness) return;
+
+	const isPcm = source instanceof Float32Array;
+	const waveform = needsWaveform ? createWaveformBuilder(isPcm ? source.length : source.length * 8) : null;
+	const codec = songCodec(song);
+	const meter = needsLoudness ? createLoudnessMeter(codec.sampleRate) : null;
+	const consume = pcm => {
+		if (waveform) addWaveformSamples(waveform, pcm);
+		if (meter) addLoudnessSamples(meter, pcm);
+	};
+	const finish = () => {
+		if (waveform) saveWaveform(url, finishWaveform(waveform));
+		if (meter) saveLoudness(url, finishLoudness(meter));
+	};
+
+	if (isPcm) {
+		consume(source);
+		finish();
+		return;
+	}
+	decodeInSlices(source, consume, codec)
+		.then(finish)
+		.catch(err => console.warn('Failed to analyse song', err));
+}
+
+function createLoudnessMeter(sampleRate = SAMPLE_RATE) {
+	return { windowSize: Math.round(sampleRate * LOUDNESS_WINDOW_SECONDS), sum: 0, count: 0, windows: [], peak: 0 };
+}
+
+function addLoudnessSamples(meter, pcm) {
+	for (let i = 0; i < pcm.length; i++) {
+		const value = pcm[i];
+		meter.sum += value * value;
+		if (Math.abs(value) > meter.peak) meter.peak = Math.abs(value);
+		if (++meter.count === meter.windowSize) {
+			meter.windows.push(meter.sum / meter.count);
+			meter.sum = 0;
+			meter.count = 0;
+		}
+	}
+}
+
+// ReplayGain-style: the loudness of a song is the 95th percentile of its 50 ms RMS windows.
+function finishLoudness(meter) {
+	if (meter.count) meter.windows.push(meter.sum / meter.count);
+	const windows = Float64Array.from(meter.windows).sort();
+	const power = windows.length ? windows[Math.floor(LOUDNESS_PERCENTILE * (windows.length - 1))] : 0;
+	return {
+		loudness: Math.round(10 * Math.log10(Math.max(power, 1e-10)) * 100) / 100,
+		peak: Math.round(meter.peak * 10000) / 10000
+	};
+}
+
+function loadLoudness() {
+	try {
+		const stored = JSON.parse(localStorage.getItem(LOUDNESS_STORAGE_KEY) || '{}');
+		for (const [url, stats] of Object.entries(stored)) {
+			if (Number.isFinite(stats?.loudness) && Number.isFinite(stats?.peak)) loudnessByUrl.set(url, stats);
+		}
+		trimLoudness();
+		const mode = localStorage.getItem(NORMALIZATION_STORAGE_KEY);
+		if (NORMALIZATION_MODES.includes(mode)) normalizationMode = mode;
+	} catch (err) {
+		console.warn('Failed to load loudness data', err);
+	}
+}
+
+// Like the waveform cache, only the most recently analysed songs are kept.
+function trimLoudness() {
+	while (loudnessByUrl.size > LOUDNESS_CACHE_LIMIT) {
+		loudnessByUrl.delete(loudnessByUrl.keys().next().value);
+	}
+}
+
+function saveLoudness(url, stats) {
+	loudnessByUrl.delete(url);
+	loudnessByUrl.set(url, stats);
+	trimLoudness();
+	try {
+		localStorage.setItem(LOUDNESS_STORAGE_KEY, JSON.stringify(Object.fromEntries(loudnessByUrl)));
+	} catch (err) {
+		console.warn('Failed to save loudness data', err);
+	}
+	applyNormalization();
+}
+
+function trackGainInfo(song) {
+	if (Number.isFinite(song.trackGain)) return { gain: song.trackGain, peak: song.peak };
+	const stats = loudnessByUrl.get(song.url);
+	return stats ? { gain: NORMALIZATION_TARGET_DB - stats.loudness, peak: stats.peak } : null;
+}
+
+function albumGainInfo(song) {
+	if (Number.isFinite(song.albumGain)) return { gain: song.albumGain, peak: song.peak };
+	if (!song.album) return null;
+
+	// Album loudness is the power mean of every analysed track that shares the album (and artist, when known).
+	const seen = new Set();
+	let power = 0;
+	let peak = 0;
+	for (const entry of [...publicSongs, ...localSongs]) {
+		if (entry.album !== song.album || (song.artist && entry.artist !== song.artist) || seen.has(entry.url)) continue;
+		seen.add(entry.url);
+		const stats = loudnessByUrl.get(entry.url);
+		if (!stats) continue;
+		power += 10 ** (stats.loudness / 10);
+		peak = Math.max(peak, stats.peak);
+	}
+	const analysed = [...seen].filter(url => loudnessByUrl.has(url)).length;
+	if (!analysed) return null;
+	return { gain: NORMALIZATION_TARGET_DB - 10 * Math.log10(power / analysed), peak };
+}
+
+function normalizationGainDb(song) {
+	if (normalizationMode === 'off' || !song) return null;
+	const info = (normalizationMode === 'album' && albumGainInfo(song)) || trackGainInfo(song);
+	if (!info) return null;
+	let gain = clamp(info.gain, -NORMALIZATION_MAX_DB, NORMALIZATION_MAX_DB);
+	// Never push the loudest sample past full scale.
+	if (info.peak > 0) gain = Math.min(gain, -20 * Math.log10(info.peak));
+	return gain;
+}
+
+function normalizationGain(song) {
+	const gain = normalizationGainDb(song);
+	return gain === null ? 1 : 10 ** (gain / 20);
+}
+
+function applyNormalization() {
+	const now = audioCtx?.currentTime || 0;
+	if (currentSource?.levelGain) currentSource.levelGain.gain.setTargetAtTime(normalizationGain(currentSong), now, 0.1);
+	if (nextTrack?.source?.levelGain) nextTrack.source.levelGain.gain.setTargetAtTime(normalizationGain(nextTrack.song), now, 0.1);
+	renderNormalizationInfo();
+}
+
+function renderNormalizationInfo() {
+	if (normalizationModeEl) normalizationModeEl.value = normalizationMode;
+	if (!normalizationInfoEl) return;
+	if (normalizationMode === 'off') {
+		normalizationInfoEl.textContent = 'Off';
+		return;
+	}
+	const gain = normalizationGainDb(currentSong);
+	normalizationInfoEl.textContent = !currentSong
+		? 'Nothing playing'
+		: gain === null ? 'Analysing…' : `${gain > 0 ? '+' : ''}${gain.toFixed(1)} dB`;
+}
+
+function showWaveform(url) {
+	currentWaveform = (url && waveformCache.get(url)) || null;
+	if (progressEl) progressEl.classList.toggle('has-waveform', !!currentWaveform);
+	drawWaveform();
+}
+
+function drawWaveform() {
+	if (!waveformCanvasEl || !themePalette) return;
+	const ratio = window.devicePixelRatio || 1;
+	const width = Math.round(waveformCanvasEl.clientWidth * ratio);
+	const height = Math.round(waveformCanvasEl.clientHeight * ratio);
+	waveformCanvasEl.width = width;
+	waveformCanvasEl.height = height;
+	if (!currentWaveform || !width || !height) return;
+
+	const ctx = waveformCanvasEl.getContext('2d');
+	const barWidth = width / WAVEFORM_BUCKETS;
+	const middle = height / 2;
+	ctx.fillStyle = themePalette.mutedHex;
+	for (let bucket = 0; bucket < WAVEFORM_BUCKETS; bucket++) {
+		const top = middle - (currentWaveform[bucket * 2 + 1] / 127) * middle;
+		const bottom = middle - (currentWaveform[bucket * 2] / 127) * middle;
+		ctx.fillRect(bucket * barWidth, top, Math.max(1, barWidth - 0.5), Math.max(1, bottom - top));
+	}
+}
+
+function canSeek() {
+	return isPlaying && !!currentSource && totalDuration > 0;
+}
+
+function seekTo(seconds) {
+	if (!canSeek() || !Number.isFinite(seconds)) return;
+	const target = clamp(seconds, 0, Math.max(0, totalDuration - 0.05));
+	unscheduleNextTrack();
+
+	if (currentSource.stream) {
+		seekStream(currentSource, target, playbackId);
+	} else {
+		const playId = playbackId;
+		const src = audioCtx.createBufferSource();
+		src.buffer = currentSource.buffer;
+		src.playbackRate.value = playbackRate;
+		src.trackGain = currentSource.trackGain;
+		src.levelGain = currentSource.levelGain;
+		currentSource.trackGain = null;
+		currentSource.levelGain = null;
+		src.connect(src.levelGain);
+		src.onended = () => handleTrackEnd(playId);
+		teardownSource(currentSource);
+		src.start(0, target);
+		currentSource = src;
+	}
+
+	if (isPaused) {
+		pauseOffset = target;
+	} else {
+		startTime = audioCtx.currentTime - target / playbackRate;
+	}
+	renderProgress(target);
+	syncMediaPosition(target);
+	scheduleNextTrack();
+}
+
+function progressFractionFromEvent(event) {
+	const rect = progressEl.getBoundingClientRect();
+	return rect.width > 0 ? clamp((event.clientX - rect.left) / rect.width, 0, 1) : 0;
+}
+
+// Per-song overrides win over catalog metadata, which wins over the DFPWM1a / 48 kHz defaults.
+function songCodec(song) {
+	const override = codecOverrides.get(song?.url) || {};
+	return {
+		...(override.codec || song?.codec || {}),
+		sampleRate: override.sampleRate || song?.sampleRate || SAMPLE_RATE
+	};
+}
+
+function describeCodec(codec) {
+	const profile = DFPWM_PROFILES[codec.profile] || DFPWM_PROFILES[DEFAULT_CODEC_PROFILE];
+	const custom = ['respPrec', 'lpfStrength', 'antijerk'].some(key => codec[key] !== undefined);
+	return `${profile.label}${custom ? ' (custom)' : ''} · ${formatFrequency(codec.sampleRate)}`;
+}
+
+function loadCodecOverrides() {
+	try {
+		const stored = JSON.parse(localStorage.getItem(CODEC_OVERRIDES_STORAGE_KEY) || '{}');
+		for (const [url, override] of Object.entries(stored)) {
+			const codec = override?.codec ? normalizeCodecOptions(override.codec) : null;
+			const sampleRate = isValidCodecSampleRate(override?.sampleRate) ? override.sampleRate : null;
+			if (codec || sampleRate) codecOverrides.set(url, { ...(codec && { codec }), ...(sampleRate && { sampleRate }) });
+		}
+	} catch (err) {
+		console.warn('Failed to load codec overrides', err);
+	}
+}
+
+function saveCodecOverride(url, override) {
+	if (override) codecOverrides.set(url, override);
+	else codecOverrides.delete(url);
+	try {
+		localStorage.setItem(CODEC_OVERRIDES_STORAGE_KEY, JSON.stringify(Object.fromEntries(codecOverrides)));
+	} catch (err) {
+		console.warn('Failed to save codec overrides', err);
+	}
+}
+
+// Waveform and loudness depend on the decoded output, so they are rebuilt after a codec change.
+function forgetSongAnalysis(url) {
+	if (waveformCache.delete(url)) {
+		try {
+			const stored = JSON.parse(localStorage.getItem(WAVEFORM_STORAGE_KEY) || '{}');
+			delete stored[url];
+			localStorage.setItem(WAVEFORM_STORAGE_KEY, JSON.stringify(stored));
+		} catch (err) {
+			console.warn('Failed to save waveforms', err);
+		}
+	}
+	if (loudnessByUrl.delete(url)) {
+		try {
+			localStorage.setItem(LOUDNESS_STORAGE_KEY, JSON.stringify(Object.fromEntries(loudnessByUrl)));
+		} catch (err) {
+			console.warn('Failed to save loudness data', err);
+		}
+	}
+}
+
+function renderCodecControls() {
+	const song = getSelectedSong();
+	codecFormUrl = song?.url || null;
+	const override = codecOverrides.get(codecFormUrl) || {};
+	const codec = override.codec || {};
+
+	if (codecSongLabelEl) codecSongLabelEl.textContent = song ? songDisplayTitle(song) : 'No song selected';
+	if (codecInfoEl) codecInfoEl.textContent = song ? `${describeCodec(songCodec(song))}${codecOverrides.has(song.url) ? ' · override' : ''}` : '';
+	if (codecProfileEl) codecProfileEl.value = codec.profile || '';
+	if (codecSampleRateEl) codecSampleRateEl.value = override.sampleRate ? String(override.sampleRate) : '';
+	if (codecRespPrecEl) codecRespPrecEl.value = codec.respPrec !== undefined ? String(codec.respPrec) : '';
+	if (codecLpfStrengthEl) codecLpfStrengthEl.value = codec.lpfStrength !== undefined ? String(codec.lpfStrength) : '';
+	if (codecAntijerkEl) codecAntijerkEl.value = codec.antijerk === undefined ? '' : codec.antijerk ? 'on' : 'off';
+	[codecProfileEl, codecSampleRateEl, codecRespPrecEl, codecLpfStrengthEl, codecAntijerkEl, codecApplyBtn].forEach(el => {
+		if (el) el.disabled = !song;
+	});
+	if (codecResetBtn) codecResetBtn.disabled = !song || !codecOverrides.has(song.url);
+}
+
+function readCodecForm() {
+	const issues = [];
+	const report = message => issues.push(message);
+	const fields = {};
+	if (codecProfileEl?.value) fields.profile = codecProfileEl.value;
+	if (codecRespPrecEl?.value) fields.respPrec = Number(codecRespPrecEl.value);
+	if (codecLpfStrengthEl?.value) fields.lpfStrength = Number(codecLpfStrengthEl.value);
+	if (codecAntijerkEl?.value) fields.antijerk = codecAntijerkEl.value === 'on';
+
+	const codec = Object.keys(fields).length ? normalizeCodecOptions(fields, report) : null;
+	const sampleRate = codecSampleRateEl?.value ? Number(codecSampleRateEl.value) : null;
+	if (sampleRate !== null && !isValidCodecSampleRate(sampleRate)) {
+		report(`has an invalid sample rate (expected ${CODEC_SAMPLE_RATE_MIN}–${CODEC_SAMPLE_RATE_MAX} Hz)`);
+	}
+	if (issues.length) throw new Error(`Codec settings ${issues[0]}.`);
+	return codec || sampleRate ? { ...(codec && { codec }), ...(sampleRate && { sampleRate }) } : null;
+}
+
+function setSongCodecOverride(song, override) {
+	if (!song?.url) return;
+	saveCodecOverride(song.url, override);
+	forgetSongAnalysis(song.url);
+	if (nextTrack?.song?.url === song.url) discardNextTrack();
+	renderCodecControls();
+
+	if (currentSong?.url === song.url && isPlaying && currentSource) {
+		// Restart from the same byte so the new settings are heard straight away, even if the sample rate changed.
+		const playingRate = currentSource.stream?.sampleRate || currentSource.buffer?.sampleRate || SAMPLE_RATE;
+		playSong(song, { startAt: getPlaybackPosition() * playingRate / songCodec(song).sampleRate });
+		return;
+	}
+	showWaveform(currentSong?.url);
+	setStatus(`${songDisplayTitle(song)} will decode as ${describeCodec(songCodec(song))}`, 'idle');
+	renderLists();
+}
+
+async function readResponseBodyAsDfpwmChunks(response, playId, controller, codec = {}) {
+	const decoder = new DFPWM(codec);
+	const chunks = [];
+	let totalSamples = 0;
+
+	if (!response.body) {
+		const bytes = new Uint8Array(await response.arrayBuffer());
+		const pcm = decoder.decode(bytes);
+		chunks.push(pcm);
+		totalSamples += pcm.length;
+		return { chunks, totalSamples, bytes };
+	}
+
+	const reader = response.body.getReader();
+	const received = [];
+	let byteLength = 0;
+
+	while (true) {
+		const { value, done } = await reader.read();
+		if (done) break;
+		if (playId !== playbackId) {
+			try {
+				controller.abort();
+			} catch {
+				// ignored
+			}
+			return { chunks: [], totalSamples: 0, aborted: true };
+		}
+		const pcm = decoder.decode(value);
+		chunks.push(pcm);
+		totalSamples += pcm.length;
+		received.push(value);
+		byteLength += value.length;
+	}
+
+	// The raw bytes stay with the buffer so the bit view can show what is actually being decoded.
+	const bytes = new Uint8Array(byteLength);
+	let offset = 0;
+	for (const value of received) {
+		bytes.set(value, offset);
+		offset += value.length;
+	}
+	return { chunks, totalSamples, bytes };
+}
+
+function playBuffered(chunks, totalSamples, bytes, song, playId, options = {}) {
+	if (!audioCtx) throw new Error('Audio context is not ready.');
+	if (!totalSamples) throw new Error('Song decoded to zero samples.');
+
+	const audioBuffer = audioCtx.createBuffer(1, totalSamples, songCodec(song).sampleRate);
+	const data = audioBuffer.getChannelData(0);
+	let offset = 0;
+	for (const chunk of chunks) {
+		data.set(chunk, offset);
+		offset += chunk.length;
+	}
+
+	const src = audioCtx.createBufferSource();
+	src.buffer = audioBuffer;
+	src.dfpwmBytes = bytes;
+	src.playbackRate.value = playbackRate;
+	connectTrackOutput(src, song);
+	src.start();
+	analyseSong(song, data);
+
+	currentSource = src;
+	currentSong = song;
+	totalDuration = audioBuffer.duration;
+	startTime = audioCtx.currentTime;
+	pauseOffset = 0;
+	isPlaying = true;
+	isPaused = false;
+
+	if (options.dequeueQueueId) {
+		dequeueSong(options.dequeueQueueId);
+	}
+
+	setMediaMetadata(song);
+	setMediaPlaybackState('playing', 0);
+	setStatus(`Playing ${songDisplayTitle(song)}`, 'playing');
+	updateNowPlayingInfo(song);
+	renderLists();
+
+	src.onended = () => handleTrackEnd(playId);
+	updateProgress();
+	prepareNextTrack();
+}
+
+function handleStreamMessage(stream, data, playId) {
+	if (playId !== playbackId || !data || data.generation !== stream.generation) return;
+	if (typeof data.played === 'number') {
+		stream.played = data.played;
+		if (!isPaused) startTime = data.time - (stream.frameOffset + data.played) / stream.sampleRate / playbackRate;
+		stream.wake();
+		scheduleNextTrack();
+	}
+
+	if (data.type === 'started' || data.type === 'resumed') {
+		setStatus(`Playing ${songDisplayTitle(currentSong)}`, 'playing');
+	} else if (data.type === 'underrun') {
+		setStatus(`Buffering ${songDisplayTitle(currentSong)}… (stream underrun)`, 'loading');
+	} else if (data.type === 'ended') {
+		handleTrackEnd(playId);
+	}
+}
+
+// The worklet steps through source frames, so a song at another sample rate plays at a scaled rate.
+function streamFrameRate(sampleRate) {
+	return playbackRate * sampleRate / audioCtx.sampleRate;
+}
+
+function createStream(playId, song) {
+	const codec = songCodec(song);
+	const capacity = Math.round(STREAM_RING_SECONDS * codec.sampleRate);
+	const node = new AudioWorkletNode(audioCtx, 'dfpwm-stream', {
+		numberOfInputs: 0,
+		numberOfOutputs: 1,
+		outputChannelCount: [1],
+		processorOptions: {
+			capacity,
+			prebuffer: Math.round(STREAM_PREBUFFER_SECONDS * codec.sampleRate),
+			rate: streamFrameRate(codec.sampleRate)
+		}
+	});
+
+	const stream = {
+		capacity,
+		generation: 0,
+		frameOffset: 0,
+		pushed: 0,
+		played: 0,
+		codec,
+		sampleRate: codec.sampleRate,
+		decoder: new DFPWM(codec),
+		cursor: 0,
+		base: 0,
+		data: new Uint8Array(0),
+		length: 0,
+		totalBytes: 0,
+		done: false,
+		endSent: false,
+		controller: null,
+		waiter: null,
+		wake() {
+			const resolve = stream.waiter;
+			stream.waiter = null;
+			if (resolve) resolve();
+		}
+	};
+	node.stream = stream;
+	node.port.onmessage = event => handleStreamMessage(stream, event.data, playId);
+	return node;
+}
+
+function waitForStream(stream) {
+	return new Promise(resolve => {
+		stream.waiter = resolve;
+	});
+}
+
+function appendStreamBytes(stream, bytes) {
+	const needed = stream.length + bytes.length;
+	if (needed > stream.data.length) {
+		const grown = new Uint8Array(Math.max(needed, stream.data.length * 2, 65536));
+		grown.set(stream.data.subarray(0, stream.length));
+		stream.data = grown;
+	}
+	stream.data.set(bytes, stream.length);
+	stream.length = needed;
+}
+
+async function feedStream(node, playId) {
+	const { stream } = node;
+	while (playId === playbackId) {
+		const available = stream.base + stream.length - stream.cursor;
+		if (available > 0 && stream.cursor >= stream.base) {
+			const count = Math.min(available, STREAM_CHUNK_BYTES);
+			if (stream.pushed + count * 8 - stream.played > stream.capacity) {
+				await waitForStream(stream);
+				continue;
+			}
+			const start = stream.cursor - stream.base;
+			const pcm = stream.decoder.decode(stream.data.subarray(start, start + count));
+			node.port.postMessage({ type: 'push', samples: pcm }, [pcm.buffer]);
+			stream.pushed += pcm.length;
+			stream.cursor += count;
+			continue;
+		}
+
+		if (stream.done && !stream.endSent) {
+			node.port.postMessage({ type: 'end' });
+			stream.endSent = true;
+		}
+		await waitForStream(stream);
+	}
+}
+
+function parseContentRange(response) {
+	const match = /^bytes (\d+)-\d+\/(\d+|\*)$/i.exec(response.headers.get('Content-Range') || '');
+	if (!match) return null;
+	return { start: parseInt(match[1], 10), total: match[2] === '*' ? 0 : parseInt(match[2], 10) };
+}
+
+function retryDelay(attempt) {
+	return Math.min(DOWNLOAD_RETRY_BASE_MS * 2 ** (attempt - 1), DOWNLOAD_RETRY_MAX_MS);
+}
+
+function waitForRetry(ms, signal) {
+	return new Promise((resolve, reject) => {
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(new DOMException('Download aborted.', 'AbortError'));
+		};
+		const timer = setTimeout(() => {
+			signal.removeEventListener('abort', onAbort);
+			resolve();
+		}, ms);
+		signal.addEventListener('abort', onAbort, { once: true });
+	});
+}
+
+async function downloadStreamBytes(node, response, playId, controller) {
+	const { stream } = node;
+	const range = response.status === 206 ? parseContentRange(response) : null;
+	const contentLength = parseInt(response.headers.get('Content-Length') || '', 10);
+
+	stream.base = range ? range.start : 0;
+	stream.length = 0;
+	stream.done = false;
+	stream.endSent = false;
+	if (range?.total) stream.totalBytes = range.total;
+	else if (!range && contentLength > 0) stream.totalBytes = contentLength;
+	stream.data = new Uint8Array(stream.totalBytes ? stream.totalBytes - stream.base : 0);
+	if (stream.totalBytes) totalDuration = (stream.totalBytes * 8) / stream.sampleRate;
+	stream.wake();
+
+	// A dropped connection resumes from the last received byte instead of failing the track.
+	let attempt = 0;
+	let skip = 0;
+	while (true) {
+		try {
+			if (!response) {
+				const resumeAt = stream.base + stream.length;
+				response = await fetchSongResponse(currentSong.url, controller.signal, { rangeStart: resumeAt });
+				if (!response?.ok || !response.body) throw new Error(`HTTP ${response?.status || 'fetch failed'}`);
+				const resumed = response.status === 206 ? parseContentRange(response) : null;
+				skip = resumeAt - (resumed ? resumed.start : 0);
+				if (skip < 0) throw new Error('Server resumed at an unexpected offset.');
+				if (!isPaused) setStatus(`Reconnected. Playing ${songDisplayTitle(currentSong)}`, 'playing');
+			}
+
+			const reader = response.body.getReader();
+			while (true) {
+				const { value, done } = await reader.read();
+				if (playId !== playbackId || stream.controller !== controller) {
+					controller.abort();
+					return;
+				}
+				if (done) break;
+
+				const bytes = skip ? value.subarray(Math.min(skip, value.length)) : value;
+				skip -= value.length - bytes.length;
+				if (!bytes.length) continue;
+
+				attempt = 0;
+				appendStreamBytes(stream, bytes);
+				if (!stream.totalBytes) totalDuration = ((stream.base + stream.length) * 8) / stream.sampleRate;
+				stream.wake();
+			}
+			break;
+		} catch (err) {
+			if (err?.name === 'AbortError' || playId !== playbackId || stream.controller !== controller) throw err;
+			// Imported songs are read from the song cache, so there is no connection to wait for.
+			if (isImportedSongUrl(currentSong?.url) || ++attempt > DOWNLOAD_RETRY_LIMIT) throw err;
+
+			response = null;
+			const delay = retryDelay(attempt);
+			console.warn(`Song download interrupted, retrying in ${delay} ms`, err);
+			setStatus(`Connection lost after ${formatBytes(stream.base + stream.length)}. Retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt} of ${DOWNLOAD_RETRY_LIMIT})…`, 'loading');
+			await waitForRetry(delay, controller.signal);
+		}
+	}
+
+	if (!stream.totalBytes) stream.totalBytes = stream.base + stream.length;
+	totalDuration = (stream.totalBytes * 8) / stream.sampleRate;
+	stream.done = true;
+	stream.wake();
+}
+
+async function restartStreamDownload(node, byteOffset, playId) {
+	const { stream } = node;
+	if (stream.controller) stream.controller.abort();
+	const controller = new AbortController();
+	stream.controller = controller;
+	currentFetchController = controller;
+
+	try {
+		const response = await fetchSongResponse(currentSong.url, controller.signal, { rangeStart: byteOffset });
+		if (playId !== playbackId || stream.controller !== controller) return;
+		if (!response?.ok || !response.body) throw new Error(`HTTP ${response?.status || 'fetch failed'}`);
+		await downloadStreamBytes(node, response, playId, controller);
+		if (playId === playbackId) prepareNextTrack();
+	} catch (err) {
+		if (err?.name === 'AbortError' || playId !== playbackId || stream.controller !== controller) return;
+		console.error('Seek download failed', err);
+		setStatus(`Seek failed: ${err.message || 'Unknown error'}`, 'error');
+	} finally {
+		if (currentFetchController === controller) currentFetchController = null;
+	}
+}
+
+function seekStream(node, seconds, playId) {
+	const { stream } = node;
+	const byteOffset = Math.floor((seconds * stream.sampleRate) / 8);
+
+	stream.generation += 1;
+	stream.frameOffset = byteOffset * 8;
+	stream.pushed = 0;
+	stream.played = 0;
+	stream.cursor = byteOffset;
+	stream.decoder = new DFPWM(stream.codec);
+	stream.endSent = false;
+	node.port.postMessage({ type: 'reset', generation: stream.generation });
+
+	// DFPWM can restart anywhere, so only re-download when the target is outside what we already hold.
+	const fetchedEnd = stream.base + stream.length;
+	const outsideFetched = byteOffset < stream.base
+		|| (!stream.done && byteOffset > fetchedEnd + SEEK_RANGE_AHEAD_BYTES);
+	// Imported songs restart too; fetchSongResponse slices them out of the song cache.
+	if (outsideFetched) restartStreamDownload(node, byteOffset, playId);
+	stream.wake();
+}
+
+// Without a Content-Length there is no duration to seek within yet, so go straight to the byte offset with a Range request.
+function resumeStreamAt(node, seconds, playId) {
+	if (node.stream.totalBytes) {
+		seekTo(seconds);
+		return;
+	}
+	seekStream(node, seconds, playId);
+	startTime = audioCtx.currentTime - seconds / playbackRate;
+	renderProgress(seconds);
+	syncMediaPosition(seconds);
+}
+
+async function playResponseStreamed(response, song, playId, controller, options = {}) {
+	const node = createStream(playId, song);
+	connectTrackOutput(node, song);
+	node.stream.controller = controller;
+
+	currentSource = node;
+	currentSong = song;
+	totalDuration = 0;
+	startTime = audioCtx.currentTime;
+	pauseOffset = 0;
+	isPlaying = true;
+	isPaused = false;
+
+	if (options.dequeueQueueId) {
+		dequeueSong(options.dequeueQueueId);
+	}
+
+	setMediaMetadata(song);
+	setMediaPlaybackState('playing', 0);
+	setStatus(`Buffering ${songDisplayTitle(song)}…`, 'loading');
+	updateNowPlayingInfo(song);
+	renderLists();
+	updateProgress();
+
+	feedStream(node, playId);
+	const download = downloadStreamBytes(node, response, playId, controller);
+	if (options.startAt > 0) resumeStreamAt(node, options.startAt, playId);
+	await download;
+	if (playId === playbackId) {
+		const { stream } = node;
+		if (stream.done && stream.base === 0 && stream.length) analyseSong(song, stream.data.slice(0, stream.length));
+		prepareNextTrack();
+	}
+	if (playId === playbackId && node.stream.done && !node.stream.totalBytes) {
+		throw new Error('Song decoded to zero samples.');
+	}
+}
+
+async function fetchSongResponse(url, signal, { rangeStart = 0 } = {}) {
+	if (isImportedSongUrl(url) && 'caches' in window) {
+		const cache = await caches.open(SONG_CACHE_NAME);
+		const cached = await cache.match(url);
+		if (cached && rangeStart > 0) {
+			const blob = await cached.blob();
+			const start = Math.min(rangeStart, blob.size);
+			return new Response(blob.slice(start), {
+				status: 206,
+				headers: {
+					'Content-Type': 'audio/dfpwm',
+					'Content-Length': String(blob.size - start),
+					'Content-Range': `bytes ${start}-${Math.max(blob.size - 1, start)}/${blob.size}`
+				}
+			});
+		}
+		if (cached) return cached;
+	}
+	if (rangeStart > 0) {
+		try {
+			return await fetch(url, { cache: 'force-cache', signal, headers: { Range: `bytes=${rangeStart}-` } });
+		} catch (err) {
+			if (err?.name === 'AbortError') throw err;
+			console.warn('Range request failed, refetching whole song', err);
+		}
+	}
+	return await fetch(url, { cache: 'force-cache', signal });
+}
+
+async function playUrlStreamed(song, options = {}) {
+	if (!song?.url) return;
+
+	const playId = ++playbackId;
+	currentSong = song;
+	updateNowPlayingInfo(song);
+	setStatus(`Loading ${songDisplayTitle(song)}…`, 'loading');
+
+	if (currentFetchController) {
+		currentFetchController.abort();
+	}
+
+	const controller = new AbortController();
+	currentFetchController = controller;
+
+	const integrity = cacheIntegrity.get(song.url);
+	if (integrity) {
+		setStatus(`${songDisplayTitle(song)} is damaged in the cache. Re-fetching…`, 'loading');
+		try {
+			await refetchSong(song);
+		} catch (err) {
+			if (currentFetchController === controller) currentFetchController = null;
+			throw new Error(`${integrity.message} Re-fetch failed: ${err.message || 'Unknown error'}`);
+		}
+		if (playId !== playbackId) return;
+	}
+
+	let response;
+	try {
+		response = await fetchSongResponse(song.url, controller.signal);
+	} catch (err) {
+		if (currentFetchController === controller) currentFetchController = null;
+		if (err?.name === 'AbortError' || playId !== playbackId) return;
+		throw err;
+	}
+
+	if (!response?.ok) {
+		if (currentFetchController === controller) currentFetchController = null;
+		throw new Error(`HTTP ${response?.status || 'fetch failed'}`);
+	}
+
+	try {
+		if (response.body && await ensureStreamWorklet()) {
+			if (playId !== playbackId) return;
+			await playResponseStreamed(response, song, playId, controller, options);
+			if (currentFetchController === controller) currentFetchController = null;
+			return;
+		}
+
+		const decoded = await readResponseBodyAsDfpwmChunks(response, playId, controller, songCodec(song));
+		if (currentFetchController === controller) currentFetchController = null;
+		if (decoded.aborted || playId !== playbackId) return;
+		playBuffered(decoded.chunks, decoded.totalSamples, decoded.bytes, song, playId, options);
+		if (options.startAt > 0) seekTo(options.startAt);
+	} catch (err) {
+		if (currentFetchController === controller) currentFetchController = null;
+		if (err?.name === 'AbortError' || playId !== playbackId) return;
+		throw err;
+	}
+}
+
+async function playSong(song, options = {}) {
+	if (!song) return;
+	pendingResume = null;
+	stop({ preserveCurrentSong: true });
+	ensureAudio();
+	try {
+		await playUrlStreamed(song, options);
+	} catch (err) {
+		console.error('Playback failed', err);
+		isPlaying = false;
 		isPaused = false;
+		teardownSource(currentSource);
 		currentSource = null;
+		clearMediaSessionState();
 		if (barEl) barEl.style.width = '0%';
 		if (elapsedEl) elapsedEl.textContent = '0:00';
 		totalDuration = 0;
@@ -851,229 +2256,1402 @@ async function playSong(song, options = {}) {
 	}
 }
 
-function playSelected() {
-	const song = getSelectedSong();
-	if (!song) return;
-	const options = selectedList === 'queue' ? { dequeueQueueId: song._id } : {};
-	playSong(song, options);
+function playSelected() {
+	const song = getSelectedSong();
+	if (!song) return;
+	const options = selectedList === 'queue' ? { dequeueQueueId: song._id } : {};
+	playbackListName = selectedList;
+	playSong(song, options);
+}
+
+function dequeueSong(songId) {
+	const song = queueSongs.find(entry => entry._id === songId);
+	if (!song || !removeQueueSongById(songId)) return;
+	queueCycleIds.add(songId);
+	if (repeatMode === 'queue') queueSongs.push(song);
+}
+
+function pickNextQueueIndex() {
+	if (!queueSongs.length) return -1;
+	if (!shuffleEnabled) return 0;
+
+	let candidates = queueSongs
+		.map((song, index) => (queueCycleIds.has(song._id) ? -1 : index))
+		.filter(index => index >= 0);
+	if (!candidates.length) {
+		queueCycleIds.clear();
+		candidates = queueSongs.map((song, index) => index);
+		if (candidates.length > 1) {
+			candidates = candidates.filter(index => queueSongs[index]._id !== currentSong?._id);
+		}
+	}
+	return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+function playNextQueuedSong() {
+	const index = pickNextQueueIndex();
+	const nextSong = queueSongs[index];
+	if (!nextSong) return;
+	selectedList = 'queue';
+	selectedIndex = index;
+	playbackListName = 'queue';
+	renderLists();
+	playSong(nextSong, { dequeueQueueId: nextSong._id });
+}
+
+function shuffledIds(list, avoidFirstId = null) {
+	const ids = list.map(song => song._id);
+	for (let i = ids.length - 1; i > 0; i--) {
+		const j = Math.floor(Math.random() * (i + 1));
+		[ids[i], ids[j]] = [ids[j], ids[i]];
+	}
+	if (ids.length > 1 && ids[0] === avoidFirstId) {
+		[ids[0], ids[ids.length - 1]] = [ids[ids.length - 1], ids[0]];
+	}
+	return ids;
+}
+
+function getShuffleOrder(listName, list, currentId) {
+	const key = `${listName}:${list.map(song => song._id).join(',')}`;
+	if (shuffleOrder.key !== key) {
+		const ids = shuffledIds(list);
+		const currentIndex = ids.indexOf(currentId);
+		if (currentIndex > 0) {
+			ids.splice(currentIndex, 1);
+			ids.unshift(currentId);
+		}
+		shuffleOrder = { key, ids };
+	}
+	return shuffleOrder;
+}
+
+function stepListIndex(listName, fromIndex, delta, { wrap = true } = {}) {
+	const list = getListByName(listName);
+	if (!list.length) return -1;
+
+	if (!shuffleEnabled) {
+		// Step in the order the list is shown, sorted and filtered, so next and previous follow the screen.
+		const view = getListView(listName).map(entry => entry.index);
+		const order = view.length ? view : list.map((_, index) => index);
+		const position = order.indexOf(fromIndex);
+		let next = position < 0 ? (delta > 0 ? 0 : order.length - 1) : position + delta;
+		if (next < 0 || next >= order.length) {
+			if (!wrap) return -1;
+			next = (next + order.length) % order.length;
+		}
+		return order[next];
+	}
+
+	const fromId = list[fromIndex]?._id;
+	const order = getShuffleOrder(listName, list, fromId);
+	const position = order.ids.indexOf(fromId);
+	let nextPosition = position + delta;
+	if (nextPosition >= order.ids.length) {
+		if (!wrap) return -1;
+		// A new cycle gets a fresh order so repeated passes do not replay the same sequence.
+		order.ids = shuffledIds(list, fromId);
+		nextPosition = 0;
+	} else if (nextPosition < 0) {
+		if (!wrap) return -1;
+		nextPosition = order.ids.length - 1;
+	}
+	return list.findIndex(song => song._id === order.ids[nextPosition]);
+}
+
+function chooseNextTrack() {
+	if (repeatMode === 'one' && currentSong) return { kind: 'one', song: currentSong };
+	if (queueSongs.length > 0) {
+		const song = queueSongs[pickNextQueueIndex()];
+		return song ? { kind: 'queue', song, queueId: song._id } : null;
+	}
+	if (repeatMode === 'list' && playbackListName && playbackListName !== 'queue') {
+		const list = getListByName(playbackListName);
+		const fromIndex = list.findIndex(song => song._id === currentSong?._id || song.url === currentSong?.url);
+		const index = stepListIndex(playbackListName, fromIndex, 1);
+		if (index >= 0) return { kind: 'list', song: list[index], listName: playbackListName, songId: list[index]._id };
+	}
+	return null;
+}
+
+function isNextTrackValid(next) {
+	if (!next || next.playId !== playbackId) return false;
+	if (next.kind === 'one') return repeatMode === 'one';
+	if (repeatMode === 'one') return false;
+	if (next.kind === 'queue') {
+		const index = queueSongs.findIndex(song => song._id === next.queueId);
+		return index === 0 || (shuffleEnabled && index > 0);
+	}
+	return !queueSongs.length && repeatMode === 'list' && getListByName(next.listName).some(song => song._id === next.songId);
+}
+
+// Fetches and decodes whatever handleTrackEnd would play next, so it can start on the exact sample the current track ends.
+async function prepareNextTrack() {
+	if (nextTrack && isNextTrackValid(nextTrack)) return;
+	discardNextTrack();
+	// Leave the bandwidth to the current track until its download has finished.
+	if (!isPlaying || !audioCtx || (currentSource?.stream && !currentSource.stream.done)) return;
+
+	const choice = chooseNextTrack();
+	if (!choice?.song?.url || cacheIntegrity.has(choice.song.url)) return;
+
+	const next = { ...choice, playId: playbackId, controller: new AbortController(), buffer: null, bytes: null, source: null, when: 0, timer: null };
+	nextTrack = next;
+
+	if (next.kind === 'one' && currentSource?.buffer) {
+		next.buffer = currentSource.buffer;
+		next.bytes = currentSource.dfpwmBytes;
+		scheduleNextTrack();
+		return;
+	}
+
+	try {
+		const response = await fetchSongResponse(next.song.url, next.controller.signal);
+		if (!response?.ok) throw new Error(`HTTP ${response?.status || 'fetch failed'}`);
+		const codec = songCodec(next.song);
+		const bytes = new Uint8Array(await response.arrayBuffer());
+		const pcm = new DFPWM(codec).decode(bytes);
+		if (nextTrack !== next) return;
+		if (!pcm.length) throw new Error('Song decoded to zero samples.');
+		next.buffer = audioCtx.createBuffer(1, pcm.length, codec.sampleRate);
+		next.buffer.copyToChannel(pcm, 0);
+		next.bytes = bytes;
+		analyseSong(next.song, pcm);
+		scheduleNextTrack();
+	} catch (err) {
+		if (err?.name === 'AbortError' || nextTrack !== next) return;
+		console.warn(`Failed to prefetch ${next.song.url}`, err);
+		nextTrack = null;
+	}
+}
+
+function currentTrackEndTime() {
+	if (!isPlaying || isPaused || !currentSource || totalDuration <= 0) return null;
+	if (currentSource.stream && !currentSource.stream.endSent) return null;
+	return startTime + totalDuration / playbackRate;
+}
+
+function startNextTrackSource(next, when, fade) {
+	const src = audioCtx.createBufferSource();
+	src.buffer = next.buffer;
+	src.dfpwmBytes = next.bytes;
+	src.playbackRate.value = playbackRate;
+	connectTrackOutput(src, next.song);
+	if (fade > 0) {
+		src.trackGain.gain.setValueAtTime(0, when);
+		src.trackGain.gain.linearRampToValueAtTime(1, when + fade);
+		const outgoing = currentSource?.trackGain?.gain;
+		if (outgoing) {
+			outgoing.cancelScheduledValues(0);
+			outgoing.setValueAtTime(1, when);
+			outgoing.linearRampToValueAtTime(0, when + fade);
+		}
+	}
+	src.start(when);
+	next.source = src;
+	next.when = when;
+}
+
+function scheduleNextTrack() {
+	const next = nextTrack;
+	if (!next?.buffer || !audioCtx) return;
+	if (!isNextTrackValid(next)) {
+		prepareNextTrack();
+		return;
+	}
+
+	const end = currentTrackEndTime();
+	if (end === null) return;
+	const room = Math.max(0, end - audioCtx.currentTime - NEXT_TRACK_LEAD_SECONDS);
+	const fade = Math.min(crossfadeSeconds, totalDuration / playbackRate / 2, next.buffer.duration / playbackRate / 2, room);
+	const when = end - fade;
+	if (next.source && Math.abs(next.when - when) <= NEXT_TRACK_RESCHEDULE_SECONDS) return;
+
+	unscheduleNextTrack();
+	// Too close to the end to line up; handleTrackEnd starts the prepared buffer instead.
+	if (when < audioCtx.currentTime + NEXT_TRACK_LEAD_SECONDS) return;
+	startNextTrackSource(next, when, fade);
+	armNextTrackTimer(next);
+}
+
+function armNextTrackTimer(next) {
+	clearTimeout(next.timer);
+	const delay = isPaused ? 250 : Math.max(0, (next.when - audioCtx.currentTime) * 1000);
+	next.timer = setTimeout(() => {
+		if (nextTrack !== next || !next.source) return;
+		if (isPaused || audioCtx.currentTime < next.when - 0.01) {
+			armNextTrackTimer(next);
+			return;
+		}
+		promoteNextTrack(next);
+	}, delay);
+}
+
+function unscheduleNextTrack() {
+	if (!nextTrack?.source) return;
+	clearTimeout(nextTrack.timer);
+	teardownSource(nextTrack.source);
+	nextTrack.source = null;
+	resetTrackFade(currentSource);
+}
+
+function discardNextTrack() {
+	if (!nextTrack) return;
+	unscheduleNextTrack();
+	nextTrack.controller.abort();
+	nextTrack = null;
+}
+
+function retireSource(source) {
+	fadingSources.add(source);
+	const finish = () => {
+		fadingSources.delete(source);
+		teardownSource(source);
+	};
+	if (source.port) {
+		source.port.onmessage = event => {
+			if (event.data?.type === 'ended') finish();
+		};
+	} else {
+		source.onended = finish;
+	}
+}
+
+function promoteNextTrack(next, { previousEnded = false } = {}) {
+	clearTimeout(next.timer);
+	nextTrack = null;
+	if (currentSource) {
+		if (previousEnded) teardownSource(currentSource);
+		else retireSource(currentSource);
+	}
+
+	playbackId += 1;
+	const playId = playbackId;
+	const { song, source } = next;
+	source.onended = () => handleTrackEnd(playId);
+	currentSource = source;
+	currentSong = song;
+	currentFetchController = null;
+	totalDuration = next.buffer.duration;
+	startTime = next.when;
+	pauseOffset = 0;
+	isPlaying = true;
+	isPaused = false;
+
+	if (next.kind === 'queue') {
+		selectedList = 'queue';
+		selectedIndex = queueSongs.findIndex(entry => entry._id === next.queueId);
+		playbackListName = 'queue';
+		dequeueSong(next.queueId);
+	} else if (next.kind === 'list') {
+		selectedList = next.listName;
+		selectedIndex = getListByName(next.listName).findIndex(entry => entry._id === next.songId);
+	}
+
+	setMediaMetadata(song);
+	setMediaPlaybackState('playing', Math.max(0, getPlaybackPosition()));
+	setStatus(`Playing ${songDisplayTitle(song)}`, 'playing');
+	updateNowPlayingInfo(song);
+	renderLists();
+}
+
+function handleTrackEnd(playId) {
+	if (playId !== playbackId) return;
+	if (nextTrack?.buffer && isNextTrackValid(nextTrack)) {
+		if (!nextTrack.source) startNextTrackSource(nextTrack, audioCtx.currentTime, 0);
+		promoteNextTrack(nextTrack, { previousEnded: true });
+		return;
+	}
+	discardNextTrack();
+	isPlaying = false;
+	isPaused = false;
+	pauseOffset = 0;
+	teardownSource(currentSource);
+	currentSource = null;
+	if (barEl) barEl.style.width = '0%';
+	if (elapsedEl) elapsedEl.textContent = '0:00';
+	setMediaPlaybackState('none', totalDuration);
+	if (repeatMode === 'one' && currentSong) {
+		setStatus(`Repeating ${songDisplayTitle(currentSong)}…`, 'loading');
+		playSong(currentSong);
+		return;
+	}
+	if (queueSongs.length > 0) {
+		setStatus('Track ended. Starting next queued song…', 'loading');
+		playNextQueuedSong();
+		return;
+	}
+	if (repeatMode === 'list' && playbackListName && playbackListName !== 'queue') {
+		const list = getListByName(playbackListName);
+		const fromIndex = list.findIndex(song => song._id === currentSong?._id || song.url === currentSong?.url);
+		const nextIndex = stepListIndex(playbackListName, fromIndex, 1);
+		if (nextIndex >= 0) {
+			selectedList = playbackListName;
+			selectedIndex = nextIndex;
+			renderLists();
+			setStatus('Track ended. Starting next song in list…', 'loading');
+			playSelected();
+			return;
+		}
+	}
+	clearVisualizer();
+	setStatus('Playback finished.', 'idle');
+	savePlaybackState();
+	updateActionState();
+}
+
+function skipTrack(delta) {
+	if (delta > 0 && queueSongs.length > 0) {
+		playNextQueuedSong();
+		return;
+	}
+
+	const nextIndex = stepListIndex(selectedList, selectedIndex, delta);
+	if (nextIndex < 0) return;
+	selectedIndex = nextIndex;
+	renderLists();
+	playSelected();
+}
+
+function savePlaybackModes() {
+	try {
+		localStorage.setItem(PLAYBACK_MODES_STORAGE_KEY, JSON.stringify({ repeat: repeatMode, shuffle: shuffleEnabled, crossfade: crossfadeSeconds, speed: playbackRate }));
+	} catch (err) {
+		console.warn('Failed to save playback modes', err);
+	}
+}
+
+function renderSpeed() {
+	if (speedEl) speedEl.value = String(playbackRate);
+	if (speedValueEl) speedValueEl.textContent = `${playbackRate.toFixed(2)}×`;
+}
+
+// Speed changes re-anchor startTime so the position stays continuous; pitch follows speed like a tape deck.
+function setPlaybackRate(rate) {
+	const position = getPlaybackPosition();
+	playbackRate = clamp(rate, SPEED_MIN, SPEED_MAX);
+
+	if (isPlaying && currentSource) {
+		if (currentSource.stream) currentSource.port.postMessage({ type: 'rate', rate: streamFrameRate(currentSource.stream.sampleRate) });
+		else currentSource.playbackRate.value = playbackRate;
+		if (!isPaused) startTime = audioCtx.currentTime - position / playbackRate;
+		syncMediaPosition(position);
+	}
+	fadingSources.forEach(source => {
+		if (source.stream) source.port.postMessage({ type: 'rate', rate: streamFrameRate(source.stream.sampleRate) });
+		else source.playbackRate.value = playbackRate;
+	});
+	unscheduleNextTrack();
+	scheduleNextTrack();
+
+	renderSpeed();
+	savePlaybackModes();
+}
+
+function renderCrossfade() {
+	if (crossfadeEl) crossfadeEl.value = String(crossfadeSeconds);
+	if (crossfadeValueEl) crossfadeValueEl.textContent = crossfadeSeconds > 0 ? `${crossfadeSeconds} s` : 'Gapless';
+}
+
+function loadPlaybackModes() {
+	try {
+		const stored = JSON.parse(localStorage.getItem(PLAYBACK_MODES_STORAGE_KEY) || 'null');
+		if (REPEAT_MODES.includes(stored?.repeat)) repeatMode = stored.repeat;
+		shuffleEnabled = stored?.shuffle === true;
+		if (Number.isFinite(stored?.crossfade)) crossfadeSeconds = clamp(stored.crossfade, 0, CROSSFADE_MAX_SECONDS);
+		if (Number.isFinite(stored?.speed)) playbackRate = clamp(stored.speed, SPEED_MIN, SPEED_MAX);
+	} catch (err) {
+		console.warn('Failed to load playback modes', err);
+	}
+}
+
+function rememberSelection() {
+	const song = getSelectedSong();
+	return {
+		listName: selectedList,
+		url: song?.url || null
+	};
+}
+
+function restoreSelection(snapshot) {
+	if (!snapshot) return;
+	const preferredList = getListByName(snapshot.listName);
+	if (snapshot.url && preferredList.length) {
+		const idx = preferredList.findIndex(song => song.url === snapshot.url);
+		if (idx >= 0) {
+			selectedList = snapshot.listName;
+			selectedIndex = idx;
+			return;
+		}
+	}
+
+	if (getListByName(selectedList).length) {
+		clampSelection();
+		return;
+	}
+
+	if (publicSongs.length) {
+		selectedList = 'public';
+		selectedIndex = 0;
+	} else if (localSongs.length) {
+		selectedList = 'local';
+		selectedIndex = 0;
+	} else if (queueSongs.length) {
+		selectedList = 'queue';
+		selectedIndex = 0;
+	} else {
+		selectedIndex = -1;
+	}
+}
+
+function serializeSong(song) {
+	const clone = { ...song };
+	delete clone._id;
+	return clone;
+}
+
+function saveLocalSongs() {
+	localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(localSongs.map(serializeSong)));
+}
+
+function savePlaybackState() {
+	lastPlaybackStateSave = Date.now();
+	let current = null;
+	if (pendingResume) {
+		current = { song: serializeSong(pendingResume.song), position: pendingResume.position };
+	} else if (isPlaying && currentSong) {
+		current = { song: serializeSong(currentSong), position: getPlaybackPosition() };
+	}
+
+	try {
+		localStorage.setItem(PLAYBACK_STATE_STORAGE_KEY, JSON.stringify({
+			version: 1,
+			queue: queueSongs.map(serializeSong),
+			current,
+			resumePosition: resumePositionToggleEl ? resumePositionToggleEl.checked : true
+		}));
+	} catch (err) {
+		console.warn('Failed to save playback state', err);
+	}
+}
+
+function loadPlaybackState() {
+	try {
+		const stored = JSON.parse(localStorage.getItem(PLAYBACK_STATE_STORAGE_KEY) || 'null');
+		if (!stored || typeof stored !== 'object') return;
+
+		queueSongs = normalizeSongArray(stored.queue);
+		if (resumePositionToggleEl && typeof stored.resumePosition === 'boolean') {
+			resumePositionToggleEl.checked = stored.resumePosition;
+		}
+
+		const song = makeSongRecord(stored.current?.song);
+		if (song) {
+			const position = Number(stored.current.position);
+			pendingResume = { song, position: Number.isFinite(position) && position > 0 ? position : 0 };
+			currentSong = song;
+		}
+	} catch (err) {
+		console.warn('Failed to load playback state', err);
+	}
+}
+
+function resumeSavedPlayback() {
+	if (!pendingResume) return;
+	const { song, position } = pendingResume;
+	const startAt = resumePositionToggleEl?.checked === false ? 0 : position;
+	playSong(song, { startAt });
+}
+
+function loadLocalSongs() {
+	try {
+		const stored = localStorage.getItem(LOCAL_STORAGE_KEY);
+		if (stored) {
+			localSongs = normalizeSongArray(JSON.parse(stored));
+		}
+	} catch (err) {
+		console.warn('Failed to load local songs', err);
+		localSongs = [];
+	}
+}
+
+async function syncLocalSongsWithCache() {
+	if (!('caches' in window)) return false;
+	try {
+		const cache = await caches.open(SONG_CACHE_NAME);
+		const requests = await cache.keys();
+		const cachedUrls = requests.map(request => request.url).filter(isSongUrl);
+		const cachedSet = new Set(cachedUrls);
+		const existingMap = new Map(localSongs.map(song => [song.url, song]));
+		const beforeLength = localSongs.length;
+
+		localSongs = localSongs.filter(song => cachedSet.has(song.url));
+		let changed = localSongs.length !== beforeLength;
+
+		cachedUrls.forEach(url => {
+			if (!localSongs.some(song => song.url === url)) {
+				localSongs.push(existingMap.get(url) || { ...inferSongMetadata(url), cachedAt: Date.now() });
+				changed = true;
+			}
+		});
+
+		localSongs = normalizeSongArray(localSongs);
+		if (changed) saveLocalSongs();
+		return changed;
+	} catch (err) {
+		console.warn('Failed to sync cached songs', err);
+		return false;
+	}
+}
+
+function hydrateLocalSongsFromPublic() {
+	if (!publicSongs.length || !localSongs.length) return;
+	const publicMap = new Map(publicSongs.map(song => [song.url, song]));
+	let changed = false;
+
+	localSongs = normalizeSongArray(localSongs.map(song => {
+		const match = publicMap.get(song.url);
+		if (!match) return song;
+		const merged = { ...song, ...match, _id: song._id };
+		if (!changed) {
+			for (const key in merged) {
+				if (merged[key] !== song[key]) {
+					changed = true;
+					break;
+				}
+			}
+		}
+		return merged;
+	}));
+
+	if (changed) saveLocalSongs();
+}
+
+function defaultLibrarySources() {
+	return [{ id: 'default', type: 'url', url: SONGS_JSON_URL, label: 'Default catalog' }];
+}
+
+function saveLibrarySources() {
+	localStorage.setItem(SOURCES_STORAGE_KEY, JSON.stringify(librarySources));
+}
+
+function loadLibrarySources() {
+	try {
+		const stored = JSON.parse(localStorage.getItem(SOURCES_STORAGE_KEY) || 'null');
+		librarySources = Array.isArray(stored)
+			? stored.filter(source => source && typeof source.url === 'string' && typeof source.id === 'string')
+			: defaultLibrarySources();
+	} catch (err) {
+		console.warn('Failed to load library sources', err);
+		librarySources = defaultLibrarySources();
+	}
+}
+
+function sourceLabelFromUrl(url) {
+	try {
+		const parsed = new URL(url);
+		const file = parsed.pathname.split('/').pop();
+		return file && file !== 'songs.json' ? `${parsed.hostname}/${file}` : parsed.hostname;
+	} catch {
+		return url;
+	}
 }
 
-function playNextQueuedSong() {
-	const nextSong = queueSongs[0];
-	if (!nextSong) return;
-	selectedList = 'queue';
-	selectedIndex = 0;
-	renderLists();
-	playSong(nextSong, { dequeueQueueId: nextSong._id });
+function syncCatalogSourcesWithWorker() {
+	const urls = librarySources.filter(source => source.type === 'url').map(source => source.url);
+	requestServiceWorkerAction('SET_CATALOG_SOURCES', { urls })
+		.catch(err => console.warn('Failed to share catalog sources with the service worker', err));
 }
 
-function handleTrackEnd(playId) {
-	if (playId !== playbackId) return;
-	isPlaying = false;
-	isPaused = false;
-	pauseOffset = 0;
-	currentSource = null;
-	if (barEl) barEl.style.width = '0%';
-	if (elapsedEl) elapsedEl.textContent = '0:00';
-	setMediaPlaybackState('none', totalDuration);
-	if (queueSongs.length > 0) {
-		setStatus('Track ended. Starting next queued song…', 'loading');
-		playNextQueuedSong();
+function renderSources() {
+	if (sourcesBadgeEl) sourcesBadgeEl.textContent = String(librarySources.length);
+	if (!sourcesListEl) return;
+	sourcesListEl.innerHTML = '';
+
+	if (!librarySources.length) {
+		const empty = document.createElement('div');
+		empty.className = 'empty-list';
+		empty.textContent = 'No sources configured. Add a catalog URL or file.';
+		sourcesListEl.appendChild(empty);
 		return;
 	}
-	setStatus('Playback finished.', 'idle');
-	updateActionState();
+
+	librarySources.forEach(source => {
+		const row = document.createElement('div');
+		row.className = 'source-row';
+
+		const info = document.createElement('div');
+		const label = document.createElement('div');
+		label.className = 'song-title';
+		label.textContent = source.label;
+		const detail = document.createElement('div');
+		detail.className = 'song-meta';
+		const status = sourceStatus.get(source.id);
+		const statusText = status?.error
+			? `Failed: ${status.error}`
+			: (status ? `${status.count} songs` : 'Not loaded yet');
+		const issueCount = status?.issues?.length || 0;
+		detail.textContent = `${source.type === 'file' ? 'Local file' : source.url} · ${statusText}`
+			+ (issueCount ? ` · ${issueCount} problem${issueCount === 1 ? '' : 's'}` : '');
+		info.append(label, detail);
+
+		if (issueCount) {
+			const issues = document.createElement('details');
+			issues.className = 'source-issues';
+			const summary = document.createElement('summary');
+			summary.textContent = 'Show catalog problems';
+			const list = document.createElement('ul');
+			status.issues.slice(0, MAX_REPORTED_CATALOG_ISSUES).forEach(issue => {
+				const item = document.createElement('li');
+				item.textContent = issue;
+				list.appendChild(item);
+			});
+			if (issueCount > MAX_REPORTED_CATALOG_ISSUES) {
+				const more = document.createElement('li');
+				more.textContent = `…and ${issueCount - MAX_REPORTED_CATALOG_ISSUES} more (see console).`;
+				list.appendChild(more);
+			}
+			issues.append(summary, list);
+			info.appendChild(issues);
+		}
+
+		const remove = document.createElement('button');
+		remove.type = 'button';
+		remove.textContent = 'Remove';
+		remove.addEventListener('click', () => removeLibrarySource(source.id));
+
+		row.append(info, remove);
+		sourcesListEl.appendChild(row);
+	});
 }
 
-function skipTrack(delta) {
-	if (delta > 0 && queueSongs.length > 0) {
-		playNextQueuedSong();
-		return;
+async function addLibrarySource(source) {
+	librarySources.push(source);
+	saveLibrarySources();
+	renderSources();
+	if (source.type === 'url') syncCatalogSourcesWithWorker();
+	await fetchSongs();
+}
+
+async function removeLibrarySource(sourceId) {
+	const source = librarySources.find(entry => entry.id === sourceId);
+	if (!source) return;
+	librarySources = librarySources.filter(entry => entry.id !== sourceId);
+	sourceStatus.delete(sourceId);
+	saveLibrarySources();
+	if (source.type === 'file' && 'caches' in window) {
+		try {
+			const cache = await caches.open(SONG_CACHE_NAME);
+			await cache.delete(source.url);
+		} catch (err) {
+			console.warn('Failed to delete catalog file', err);
+		}
 	}
+	if (source.type === 'url') syncCatalogSourcesWithWorker();
+	renderSources();
+	await fetchSongs();
+}
 
-	const list = getListByName(selectedList);
-	if (!list.length) return;
-	selectedIndex = (selectedIndex + delta + list.length) % list.length;
-	renderLists();
-	playSelected();
+async function addCatalogFile(file) {
+	if (!('caches' in window)) throw new Error('Cache storage is not available in this browser.');
+	const text = await file.text();
+	JSON.parse(text);
+
+	const id = `source_${Date.now().toString(36)}`;
+	const url = new URL(`${LOCAL_CATALOG_PATH}${id}.json`, location.href).toString();
+	const cache = await caches.open(SONG_CACHE_NAME);
+	await cache.put(url, new Response(text, { headers: { 'Content-Type': 'application/json; charset=utf-8' } }));
+	await addLibrarySource({ id, type: 'file', url, label: file.name });
 }
 
-function rememberSelection() {
-	const song = getSelectedSong();
+function parseCatalog(data, baseUrl) {
+	const issues = [];
+	let entries;
+	let version = 0;
+
+	if (Array.isArray(data)) {
+		entries = data;
+		// Legacy arrays always resolved relative urls against the page, so keep pointing where they did.
+		baseUrl = null;
+	} else if (data && typeof data === 'object' && Array.isArray(data.songs)) {
+		entries = data.songs;
+		version = data.version;
+		if (data.format !== undefined && data.format !== CATALOG_FORMAT) {
+			issues.push(`Unexpected format "${data.format}", expected "${CATALOG_FORMAT}".`);
+		}
+		if (!Number.isInteger(version) || version < 1) {
+			issues.push('Missing or invalid catalog version.');
+		} else if (version > CATALOG_VERSION) {
+			issues.push(`Catalog version ${version} is newer than supported version ${CATALOG_VERSION}; unknown fields are ignored.`);
+		}
+	} else {
+		throw new Error('Catalog must be an array of songs or an object with a "songs" array.');
+	}
+
+	const songs = [];
+	entries.forEach((entry, index) => {
+		const label = typeof entry?.title === 'string' ? `Entry ${index + 1} ("${entry.title}")` : `Entry ${index + 1}`;
+		const song = validateCatalogEntry(entry, baseUrl, message => issues.push(`${label} ${message}.`), { legacy: Array.isArray(data) });
+		if (song) songs.push(song);
+	});
+
+	return { version, songs: normalizeSongArray(songs), issues };
+}
+
+async function fetchCatalogSongs(source) {
+	let response;
+	if (source.type === 'file') {
+		const cache = 'caches' in window ? await caches.open(SONG_CACHE_NAME) : null;
+		response = cache ? await cache.match(source.url) : null;
+		if (!response) throw new Error('Catalog file is no longer stored. Add it again.');
+	} else {
+		response = await fetch(source.url, { cache: 'force-cache' });
+	}
+	if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+	const catalog = parseCatalog(await response.json(), source.type === 'url' ? source.url : null);
 	return {
-		listName: selectedList,
-		url: song?.url || null
+		issues: catalog.issues,
+		songs: catalog.songs.map(song => ({ ...song, source: source.label, sourceId: source.id }))
 	};
 }
 
-function restoreSelection(snapshot) {
-	if (!snapshot) return;
-	const preferredList = getListByName(snapshot.listName);
-	if (snapshot.url && preferredList.length) {
-		const idx = preferredList.findIndex(song => song.url === snapshot.url);
-		if (idx >= 0) {
-			selectedList = snapshot.listName;
-			selectedIndex = idx;
-			return;
+async function fetchSongs() {
+	const snapshot = rememberSelection();
+	refreshBtn.disabled = true;
+	setStatus('Refreshing public library…', 'loading');
+	try {
+		const results = await Promise.allSettled(librarySources.map(fetchCatalogSongs));
+		const seenUrls = new Set();
+		const merged = [];
+		const failures = [];
+		let issueCount = 0;
+
+		results.forEach((result, index) => {
+			const source = librarySources[index];
+			if (result.status === 'rejected') {
+				const message = result.reason?.message || 'Unknown error';
+				console.warn(`Failed to load catalog ${source.url}`, result.reason);
+				sourceStatus.set(source.id, { error: message });
+				failures.push(source.label);
+				return;
+			}
+
+			const { songs, issues } = result.value;
+			sourceStatus.set(source.id, { count: songs.length, issues });
+			issueCount += issues.length;
+			if (issues.length) console.warn(`Catalog ${source.url} has ${issues.length} issue(s)`, issues);
+			songs.forEach(song => {
+				if (seenUrls.has(song.url)) return;
+				seenUrls.add(song.url);
+				merged.push(song);
+			});
+		});
+
+		if (failures.length && failures.length === librarySources.length) {
+			throw new Error(failures.length === 1
+				? (results[0].reason?.message || 'Unknown error')
+				: `all ${failures.length} sources failed`);
+		}
+
+		publicSongs = merged;
+		hydrateLocalSongsFromPublic();
+		restoreSelection(snapshot);
+		renderSources();
+		renderLists();
+		const sourceCount = librarySources.length;
+		const summary = `Loaded ${publicSongs.length} public songs from ${sourceCount} source${sourceCount === 1 ? '' : 's'}.`;
+		if (failures.length) {
+			setStatus(`${summary} Failed: ${failures.join(', ')}.`, 'error');
+		} else if (issueCount) {
+			setStatus(`${summary} ${issueCount} catalog problem${issueCount === 1 ? '' : 's'} found — see Library Sources.`, 'error');
+		} else {
+			setStatus(summary, 'idle');
 		}
+	} catch (err) {
+		renderSources();
+		console.error('Failed to fetch songs', err);
+		setStatus(`Failed to fetch songs: ${err.message || 'Unknown error'}`, 'error');
+		renderLists();
+	} finally {
+		refreshBtn.disabled = false;
 	}
+}
 
-	if (getListByName(selectedList).length) {
-		clampSelection();
+function savePlaylists() {
+	localStorage.setItem(PLAYLISTS_STORAGE_KEY, JSON.stringify({
+		activeId: activePlaylistId,
+		playlists: playlists.map(playlist => ({
+			id: playlist.id,
+			name: playlist.name,
+			songs: playlist.songs.map(serializeSong)
+		}))
+	}));
+}
+
+function loadPlaylists() {
+	try {
+		const stored = JSON.parse(localStorage.getItem(PLAYLISTS_STORAGE_KEY) || 'null');
+		if (!stored || !Array.isArray(stored.playlists)) return;
+		playlists = stored.playlists
+			.filter(playlist => playlist && typeof playlist.id === 'string')
+			.map(playlist => ({
+				id: playlist.id,
+				name: String(playlist.name || 'Untitled playlist'),
+				songs: normalizeSongArray(playlist.songs)
+			}));
+		activePlaylistId = playlists.some(playlist => playlist.id === stored.activeId)
+			? stored.activeId
+			: (playlists[0]?.id || null);
+	} catch (err) {
+		console.warn('Failed to load playlists', err);
+		playlists = [];
+		activePlaylistId = null;
+	}
+}
+
+function createPlaylist(name) {
+	const playlist = {
+		id: `playlist_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+		name,
+		songs: []
+	};
+	playlists.push(playlist);
+	activePlaylistId = playlist.id;
+	savePlaylists();
+	return playlist;
+}
+
+function nextPlaylistName() {
+	let index = playlists.length + 1;
+	while (playlists.some(playlist => playlist.name === `Playlist ${index}`)) index += 1;
+	return `Playlist ${index}`;
+}
+
+function renderPlaylistControls() {
+	if (!playlistSelectEl) return;
+	playlistSelectEl.innerHTML = '';
+	if (!playlists.length) {
+		const option = document.createElement('option');
+		option.value = '';
+		option.textContent = 'No playlists';
+		playlistSelectEl.appendChild(option);
+		playlistSelectEl.disabled = true;
 		return;
 	}
 
-	if (publicSongs.length) {
-		selectedList = 'public';
-		selectedIndex = 0;
-	} else if (localSongs.length) {
-		selectedList = 'local';
-		selectedIndex = 0;
-	} else if (queueSongs.length) {
-		selectedList = 'queue';
-		selectedIndex = 0;
+	playlists.forEach(playlist => {
+		const option = document.createElement('option');
+		option.value = playlist.id;
+		option.textContent = `${playlist.name} (${playlist.songs.length})`;
+		playlistSelectEl.appendChild(option);
+	});
+	playlistSelectEl.disabled = false;
+	playlistSelectEl.value = activePlaylistId || '';
+}
+
+function addSongToPlaylist(song, index = null) {
+	const playlist = getActivePlaylist() || createPlaylist(nextPlaylistName());
+	const to = index === null ? playlist.songs.length : clamp(index, 0, playlist.songs.length);
+	playlist.songs.splice(to, 0, makeSongRecord(serializeSong(song)));
+	savePlaylists();
+	return { playlist, index: to };
+}
+
+function resolveDroppedSong(event) {
+	const url = event.dataTransfer.getData('text/song-url');
+	const source = event.dataTransfer.getData('text/song-source');
+	if (!url) return null;
+
+	let song = null;
+	if (source === 'public' || source === 'local' || source === 'playlist') {
+		song = getListByName(source).find(entry => entry.url === url);
+	}
+	return song || inferSongMetadata(url);
+}
+
+function getDropInsertIndex(container, clientY) {
+	const rect = container.getBoundingClientRect();
+	const y = clientY - rect.top + container.scrollTop;
+	let index = null;
+	for (let i = 0; i < container.children.length; i++) {
+		const child = container.children[i];
+		if (child.classList.contains('empty-list')) continue;
+		// Rendered rows carry their list index, so filtered views still drop at the right place.
+		const childIndex = parseInt(child.dataset.index, 10);
+		if (y > child.offsetTop + child.offsetHeight / 2) index = childIndex + 1;
+		else if (index === null) index = childIndex;
+	}
+	return index ?? 0;
+}
+
+async function requestServiceWorkerAction(type, payload = {}, { onProgress = null } = {}) {
+	if (!('serviceWorker' in navigator)) {
+		throw new Error('Service worker is not supported in this browser.');
+	}
+
+	const registration = await navigator.serviceWorker.ready;
+	const worker = navigator.serviceWorker.controller || registration.active || registration.waiting || registration.installing;
+	if (!worker) {
+		throw new Error('Service worker is not active yet. Reload once after install.');
+	}
+
+	return await new Promise((resolve, reject) => {
+		const channel = new MessageChannel();
+		const armTimeout = () => setTimeout(() => reject(new Error('Service worker request timed out.')), SW_CACHE_TIMEOUT_MS);
+		let timeout = armTimeout();
+
+		channel.port1.onmessage = event => {
+			clearTimeout(timeout);
+			const data = event.data || {};
+			if (data.type === 'progress') {
+				timeout = armTimeout();
+				if (onProgress) onProgress(data);
+				return;
+			}
+			if (data.ok) {
+				resolve(data);
+			} else {
+				reject(new Error(data.error || 'Service worker request failed.'));
+			}
+		};
+
+		worker.postMessage({ type, ...payload }, [channel.port2]);
+	});
+}
+
+async function cacheSongAsset(song) {
+	if (!song?.url) throw new Error('No song selected.');
+	await requestServiceWorkerAction('CACHE_SONG_URL', { url: song.url }, {
+		onProgress: progress => {
+			if (progress.status === 'downloading' && progress.size) {
+				setStatus(`Caching ${songDisplayTitle(song)}… ${Math.round((100 * progress.received) / progress.size)}%`, 'loading');
+			} else if (progress.status === 'retrying') {
+				setStatus(`Caching ${songDisplayTitle(song)}: ${progress.error} Retrying in ${Math.ceil(progress.delay / 1000)}s (attempt ${progress.attempt})…`, 'loading');
+			}
+		}
+	});
+}
+
+function decodeAudioFileToMono(arrayBuffer) {
+	const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+	if (!OfflineCtx) throw new Error('Audio decoding is not supported in this browser.');
+	// decodeAudioData resamples to the context rate, so a 48 kHz offline context does the conversion.
+	const offlineCtx = new OfflineCtx(1, 1, SAMPLE_RATE);
+	return new Promise((resolve, reject) => {
+		offlineCtx.decodeAudioData(arrayBuffer, audioBuffer => {
+			const mono = new Float32Array(audioBuffer.length);
+			const channels = audioBuffer.numberOfChannels;
+			for (let channel = 0; channel < channels; channel++) {
+				const data = audioBuffer.getChannelData(channel);
+				for (let i = 0; i < data.length; i++) mono[i] += data[i] / channels;
+			}
+			resolve(mono);
+		}, err => reject(err || new Error('Unsupported audio format.')));
+	});
+}
+
+function encodePcmToDfpwm(pcm) {
+	const encoder = new DFPWM();
+	const body = encoder.encode(pcm);
+	const tail = encoder.flush();
+	const bytes = new Uint8Array(body.length + tail.length);
+	bytes.set(body, 0);
+	bytes.set(tail, body.length);
+	return bytes;
+}
+
+async function importAudioFile(file) {
+	if (!('caches' in window)) throw new Error('Cache storage is not available in this browser.');
+	const pcm = await decodeAudioFileToMono(await file.arrayBuffer());
+	if (!pcm.length) throw new Error('File decoded to zero samples.');
+	const bytes = encodePcmToDfpwm(pcm);
+
+	const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+	const url = new URL(`${IMPORTED_SONG_PATH}${id}.dfpwm`, location.href).toString();
+	const cache = await caches.open(SONG_CACHE_NAME);
+	await cache.put(url, new Response(bytes, {
+		headers: {
+			'Content-Type': 'audio/dfpwm',
+			'Content-Length': String(bytes.length),
+			'X-Song-Bytes': String(bytes.length),
+			'X-Song-SHA256': await sha256Hex(bytes),
+			'X-Song-Cached-At': String(Date.now())
+		}
+	}));
+
+	const song = makeSongRecord({ url, title: cleanTitle(file.name.replace(/\.[^.]+$/, '')), imported: true, cachedAt: Date.now() });
+	localSongs.push(song);
+	saveLocalSongs();
+	return song;
+}
+
+async function importAudioFiles(files) {
+	const audioFiles = Array.from(files || []).filter(file => file.type.startsWith('audio/') || /\.(wav|mp3|ogg|oga|flac|m4a)$/i.test(file.name));
+	if (!audioFiles.length) return;
+
+	let imported = 0;
+	for (const file of audioFiles) {
+		setStatus(`Importing ${file.name} (${imported + 1}/${audioFiles.length})…`, 'loading');
+		try {
+			const song = await importAudioFile(file);
+			imported += 1;
+			selectedList = 'local';
+			selectedIndex = localSongs.indexOf(song);
+			renderLists();
+		} catch (err) {
+			console.error('Failed to import audio file', err);
+			setStatus(`Failed to import ${file.name}: ${err?.message || 'Unknown error'}`, 'error');
+		}
+	}
+
+	if (imported) {
+		refreshStoragePanel();
+		setStatus(`Imported ${imported} of ${audioFiles.length} file${audioFiles.length === 1 ? '' : 's'} into the local library.`, 'idle');
+	}
+}
+
+function createWavHeader(dataBytes, sampleRate = SAMPLE_RATE) {
+	const header = new DataView(new ArrayBuffer(44));
+	const writeAscii = (offset, text) => {
+		for (let i = 0; i < text.length; i++) header.setUint8(offset + i, text.charCodeAt(i));
+	};
+
+	writeAscii(0, 'RIFF');
+	header.setUint32(4, 36 + dataBytes, true);
+	writeAscii(8, 'WAVE');
+	writeAscii(12, 'fmt ');
+	header.setUint32(16, 16, true);
+	header.setUint16(20, 1, true);
+	header.setUint16(22, 1, true);
+	header.setUint32(24, sampleRate, true);
+	header.setUint32(28, sampleRate * 2, true);
+	header.setUint16(32, 2, true);
+	header.setUint16(34, 16, true);
+	writeAscii(36, 'data');
+	header.setUint32(40, dataBytes, true);
+	return header.buffer;
+}
+
+function pcmToInt16Bytes(pcm) {
+	const view = new DataView(new ArrayBuffer(pcm.length * 2));
+	for (let i = 0; i < pcm.length; i++) {
+		view.setInt16(i * 2, clamp(Math.round(pcm[i] * 32768), -32768, 32767), true);
+	}
+	return view.buffer;
+}
+
+function downloadBlob(blob, fileName) {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = fileName;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function safeFileName(name) {
+	return (name || 'song').replace(/[\\/:*?"<>|]+/g, '_').trim() || 'song';
+}
+
+async function exportSongAsWav(song) {
+	if (!song?.url) throw new Error('No song selected.');
+	const title = songDisplayTitle(song);
+	const response = await fetchSongResponse(song.url);
+	if (!response?.ok) throw new Error(`HTTP ${response?.status || 'fetch failed'}`);
+
+	const codec = songCodec(song);
+	const decoder = new DFPWM(codec);
+	const parts = [];
+	let dataBytes = 0;
+	let lastPercent = -1;
+	const totalBytes = parseInt(response.headers.get('Content-Length') || '', 10);
+	const appendBytes = bytes => {
+		const pcmBytes = pcmToInt16Bytes(decoder.decode(bytes));
+		parts.push(pcmBytes);
+		dataBytes += pcmBytes.byteLength;
+	};
+
+	if (!response.body) {
+		appendBytes(new Uint8Array(await response.arrayBuffer()));
 	} else {
-		selectedIndex = -1;
+		const reader = response.body.getReader();
+		let readBytes = 0;
+		while (true) {
+			const { value, done } = await reader.read();
+			if (done) break;
+			appendBytes(value);
+			readBytes += value.length;
+			if (totalBytes > 0) {
+				const percent = Math.floor((100 * readBytes) / totalBytes);
+				if (percent !== lastPercent) {
+					lastPercent = percent;
+					setStatus(`Exporting ${title}… ${percent}%`, 'loading');
+				}
+			}
+		}
+	}
+
+	if (!dataBytes) throw new Error('Song decoded to zero samples.');
+	downloadBlob(new Blob([createWavHeader(dataBytes, codec.sampleRate), ...parts], { type: 'audio/wav' }), `${safeFileName(title)}.wav`);
+}
+
+function formatBytes(bytes) {
+	if (!Number.isFinite(bytes) || bytes <= 0) return '0 B';
+	const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+	const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+	const value = bytes / 1024 ** exponent;
+	return `${value >= 10 || exponent === 0 ? value.toFixed(0) : value.toFixed(1)} ${units[exponent]}`;
+}
+
+function renderCacheJob() {
+	if (cacheJob) {
+		const { total, processed, failed, label, cancelled } = cacheJob;
+		if (cacheJobLabelEl) {
+			cacheJobLabelEl.textContent = `${cancelled ? 'Cancelling' : 'Caching'} ${label}: ${processed} / ${total}`
+				+ (failed.length ? ` · ${failed.length} failed` : '');
+		}
+		if (cacheJobProgressEl) {
+			cacheJobProgressEl.max = Math.max(total, 1);
+			cacheJobProgressEl.value = processed;
+		}
+	} else if (cacheJobLabelEl) {
+		cacheJobLabelEl.textContent = lastFailedCacheUrls.length
+			? `${lastFailedCacheUrls.length} song${lastFailedCacheUrls.length === 1 ? '' : 's'} failed to cache. Retry when you are back online.`
+			: 'No caching in progress.';
+	}
+	updateActionState();
+}
+
+async function runBulkCache(songs, label) {
+	if (cacheJob) return;
+	const cachedUrls = new Set(localSongs.map(song => song.url));
+	const urls = [...new Set(songs.map(song => song?.url).filter(Boolean))].filter(url => !cachedUrls.has(url));
+	if (!urls.length) {
+		setStatus(`Everything in ${label} is already cached.`, 'idle');
+		return;
+	}
+
+	const job = { id: `cache_${Date.now().toString(36)}`, label, total: urls.length, processed: 0, cached: 0, failed: [], cancelled: false };
+	cacheJob = job;
+	renderCacheJob();
+	setStatus(`Caching ${label}: 0 / ${urls.length}…`, 'loading');
+
+	let remaining = [];
+	try {
+		// Small batches keep each service worker event short enough to survive large libraries.
+		({ remaining } = await cacheInBatches(urls, {
+			batchSize: CACHE_BATCH_SIZE,
+			isCancelled: () => job.cancelled,
+			cacheBatch: async batch => {
+				let reported = 0;
+				try {
+					const result = await requestServiceWorkerAction('CACHE_SONGS', { jobId: job.id, urls: batch }, {
+						onProgress: progress => {
+							if (progress.status === 'retrying') {
+								setStatus(`Caching ${label}: ${progress.error} Retrying in ${Math.ceil(progress.delay / 1000)}s (attempt ${progress.attempt})…`, 'loading');
+								return;
+							}
+							if (progress.status === 'downloading') return;
+							reported += 1;
+							job.processed += 1;
+							if (progress.status === 'failed') job.failed.push(progress.url);
+							else job.cached += 1;
+							renderCacheJob();
+							setStatus(`Caching ${label}: ${job.processed} / ${job.total}…`, 'loading');
+						}
+					});
+					return { cancelled: !!result.cancelled, attempted: reported };
+				} catch (err) {
+					console.warn('Cache batch failed', err);
+					const unreported = batch.slice(reported);
+					job.failed.push(...unreported);
+					job.processed += unreported.length;
+					renderCacheJob();
+					return { cancelled: false, attempted: batch.length };
+				}
+			}
+		}));
+	} finally {
+		cacheJob = null;
+		lastFailedCacheUrls = job.failed;
+		await syncLocalSongsWithCache();
+		await verifyCachedSongs(localSongs.filter(song => urls.includes(song.url)));
+		renderCacheJob();
+		refreshStoragePanel();
 	}
-}
 
-function saveLocalSongs() {
-	localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(localSongs.map(song => {
-		const clone = { ...song };
-		delete clone._id;
-		return clone;
-	})));
+	if (job.cancelled) {
+		setStatus(`Cancelled caching ${label}. Cached ${job.cached}, ${remaining.length} not attempted.`, 'idle');
+	} else if (job.failed.length) {
+		setStatus(`Cached ${job.cached} of ${job.total} from ${label}; ${job.failed.length} failed.`, 'error');
+	} else {
+		setStatus(`Cached ${job.cached} songs from ${label} for offline playback.`, 'idle');
+	}
 }
 
-function loadLocalSongs() {
+async function cancelBulkCache() {
+	if (!cacheJob || cacheJob.cancelled) return;
+	cacheJob.cancelled = true;
+	renderCacheJob();
 	try {
-		const stored = localStorage.getItem(LOCAL_STORAGE_KEY);
-		if (stored) {
-			localSongs = normalizeSongArray(JSON.parse(stored));
-		}
+		await requestServiceWorkerAction('CANCEL_CACHE_JOB', { jobId: cacheJob?.id });
 	} catch (err) {
-		console.warn('Failed to load local songs', err);
-		localSongs = [];
+		console.warn('Failed to cancel cache job', err);
 	}
 }
 
-async function syncLocalSongsWithCache() {
-	if (!('caches' in window)) return false;
+async function getCachedSongSize(cache, url) {
+	if (songSizeByUrl.has(url)) return songSizeByUrl.get(url);
+	const response = await cache.match(url);
+	if (!response) return 0;
+	const header = parseInt(response.headers.get('Content-Length') || '', 10);
+	const size = header > 0 ? header : (await response.blob()).size;
+	songSizeByUrl.set(url, size);
+	return size;
+}
+
+async function refreshStoragePanel() {
+	if (storageUsageEl && navigator.storage?.estimate) {
+		try {
+			const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+			const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+			const pct = quota > 0 ? ` (${((100 * usage) / quota).toFixed(1)}%)` : '';
+			storageUsageEl.textContent = `Using ${formatBytes(usage)} of ${formatBytes(quota)}${pct} · ${persisted ? 'persistent' : 'may be evicted'}`;
+			if (persistStorageBtn) persistStorageBtn.disabled = persisted || !navigator.storage.persist;
+		} catch (err) {
+			console.warn('Failed to estimate storage', err);
+		}
+	} else if (storageUsageEl) {
+		storageUsageEl.textContent = 'Storage usage is not available in this browser.';
+		if (persistStorageBtn) persistStorageBtn.disabled = true;
+	}
+
+	if (!storageListEl || !('caches' in window)) return;
 	try {
 		const cache = await caches.open(SONG_CACHE_NAME);
-		const requests = await cache.keys();
-		const cachedUrls = requests.map(request => request.url).filter(isSongUrl);
-		const cachedSet = new Set(cachedUrls);
-		const existingMap = new Map(localSongs.map(song => [song.url, song]));
-		const beforeLength = localSongs.length;
-
-		localSongs = localSongs.filter(song => cachedSet.has(song.url));
-		let changed = localSongs.length !== beforeLength;
+		const rows = await Promise.all(localSongs.map(async song => ({ song, size: await getCachedSongSize(cache, song.url) })));
+		rows.sort((a, b) => b.size - a.size);
+
+		storageListEl.innerHTML = '';
+		if (!rows.length) {
+			const empty = document.createElement('div');
+			empty.className = 'empty-list';
+			empty.textContent = 'No songs cached yet.';
+			storageListEl.appendChild(empty);
+			return;
+		}
 
-		cachedUrls.forEach(url => {
-			if (!localSongs.some(song => song.url === url)) {
-				localSongs.push(existingMap.get(url) || inferSongMetadata(url));
-				changed = true;
-			}
+		rows.forEach(({ song, size }) => {
+			const row = document.createElement('div');
+			row.className = 'storage-row';
+			const name = document.createElement('span');
+			name.textContent = songDisplayTitle(song);
+			const value = document.createElement('span');
+			value.className = 'song-meta';
+			value.textContent = formatBytes(size);
+			row.append(name, value);
+			storageListEl.appendChild(row);
 		});
-
-		localSongs = normalizeSongArray(localSongs);
-		if (changed) saveLocalSongs();
-		return changed;
 	} catch (err) {
-		console.warn('Failed to sync cached songs', err);
-		return false;
+		console.warn('Failed to list cached song sizes', err);
 	}
 }
 
-function hydrateLocalSongsFromPublic() {
-	if (!publicSongs.length || !localSongs.length) return;
-	const publicMap = new Map(publicSongs.map(song => [song.url, song]));
-	let changed = false;
+async function sha256Hex(data) {
+	const digest = await crypto.subtle.digest('SHA-256', data);
+	return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
 
-	localSongs = normalizeSongArray(localSongs.map(song => {
-		const match = publicMap.get(song.url);
-		if (!match) return song;
-		const merged = { ...song, ...match, _id: song._id };
-		if (!changed) {
-			for (const key in merged) {
-				if (merged[key] !== song[key]) {
-					changed = true;
-					break;
-				}
-			}
+// Compares a cached file against what was recorded when it was stored and what the catalog promises.
+// Only the headers are read unless deep is set; a deep check hashes the cached bytes themselves, so it also
+// catches a file that went bad after it was stored, at the cost of reading the whole file.
+async function inspectCachedSong(cache, song, { deep = false } = {}) {
+	const response = await cache.match(song.url);
+	if (!response) return null;
+
+	const encoded = !!response.headers.get('Content-Encoding');
+	const recorded = parseInt(response.headers.get('X-Song-Bytes') || (encoded ? '' : response.headers.get('Content-Length')) || '', 10);
+	let size = Number.isNaN(recorded) ? null : recorded;
+	let hash = response.headers.get('X-Song-SHA256');
+	if (deep) {
+		const body = await response.arrayBuffer();
+		if (size > 0 && body.byteLength !== size) {
+			songSizeByUrl.set(song.url, body.byteLength);
+			return { state: 'truncated', message: `Only ${formatBytes(body.byteLength)} of ${formatBytes(size)} was cached.` };
 		}
-		return merged;
-	}));
+		size = body.byteLength;
+		if (song.sha256) hash = await sha256Hex(body);
+	}
+	if (size === null) return null;
+	songSizeByUrl.set(song.url, size);
 
-	if (changed) saveLocalSongs();
+	if (!size) {
+		return { state: 'truncated', message: 'Cached file is empty.' };
+	}
+	if (Number.isInteger(song.bytes) && song.bytes !== size) {
+		return {
+			state: size < song.bytes ? 'truncated' : 'mismatch',
+			message: `Cached file is ${size} bytes but the catalog lists ${song.bytes}.`
+		};
+	}
+	if (song.sha256 && hash && hash !== song.sha256) {
+		return { state: 'mismatch', message: 'Cached file does not match the catalog checksum.' };
+	}
+	return null;
 }
 
-async function fetchSongs() {
-	const snapshot = rememberSelection();
-	refreshBtn.disabled = true;
-	setStatus('Refreshing public library…', 'loading');
+async function verifyCachedSongs(songs = localSongs, options = {}) {
 	try {
-		const response = await fetch(SONGS_JSON_URL, { cache: 'force-cache' });
-		if (!response.ok) throw new Error(`HTTP ${response.status}`);
-		publicSongs = normalizeSongArray(await response.json());
-		hydrateLocalSongsFromPublic();
-		restoreSelection(snapshot);
-		renderLists();
-		setStatus(`Loaded ${publicSongs.length} public songs.`, 'idle');
+		const cache = 'caches' in window && songs.length ? await caches.open(SONG_CACHE_NAME) : null;
+		for (const song of cache ? songs : []) {
+			const issue = await inspectCachedSong(cache, song, options);
+			if (issue) cacheIntegrity.set(song.url, issue);
+			else cacheIntegrity.delete(song.url);
+		}
 	} catch (err) {
-		console.error('Failed to fetch songs', err);
-		setStatus(`Failed to fetch songs: ${err.message || 'Unknown error'}`, 'error');
-		renderLists();
-	} finally {
-		refreshBtn.disabled = false;
+		console.warn('Failed to verify cached songs', err);
 	}
+	renderLists();
+	return cacheIntegrity.size;
 }
 
-function getDropInsertIndex(container, clientY) {
-	const rect = container.getBoundingClientRect();
-	const y = clientY - rect.top + container.scrollTop;
-	let index = 0;
-	for (let i = 0; i < container.children.length; i++) {
-		const child = container.children[i];
-		if (child.classList.contains('empty-list')) continue;
-		if (y > child.offsetTop + child.offsetHeight / 2) index = i + 1;
+async function refetchSong(song) {
+	if (isImportedSongUrl(song.url)) {
+		throw new Error('Imported songs have no source to re-fetch from. Import the file again.');
 	}
-	return index;
+	songSizeByUrl.delete(song.url);
+	await requestServiceWorkerAction('CACHE_SONG_URL', { url: song.url, refresh: true });
+	const cache = await caches.open(SONG_CACHE_NAME);
+	const issue = await inspectCachedSong(cache, song, { deep: true });
+	if (issue) {
+		cacheIntegrity.set(song.url, issue);
+		throw new Error(issue.message);
+	}
+	cacheIntegrity.delete(song.url);
 }
 
-async function requestServiceWorkerAction(type, payload = {}) {
-	if (!('serviceWorker' in navigator)) {
-		throw new Error('Service worker is not supported in this browser.');
+async function refetchDamagedSongs(songs) {
+	let repaired = 0;
+	const failed = [];
+	for (const song of songs) {
+		setStatus(`Re-fetching ${songDisplayTitle(song)} (${repaired + failed.length + 1} / ${songs.length})…`, 'loading');
+		try {
+			await refetchSong(song);
+			repaired++;
+		} catch (err) {
+			console.warn(`Failed to re-fetch ${song.url}`, err);
+			failed.push(songDisplayTitle(song));
+		}
+		renderLists();
 	}
-
-	const registration = await navigator.serviceWorker.ready;
-	const worker = navigator.serviceWorker.controller || registration.active || registration.waiting || registration.installing;
-	if (!worker) {
-		throw new Error('Service worker is not active yet. Reload once after install.');
+	refreshStoragePanel();
+	if (failed.length) {
+		setStatus(`Repaired ${repaired} of ${songs.length}. Still damaged: ${failed.join(', ')}.`, 'error');
+	} else {
+		setStatus(`Repaired ${repaired} song${repaired === 1 ? '' : 's'}.`, 'idle');
 	}
-
-	return await new Promise((resolve, reject) => {
-		const channel = new MessageChannel();
-		const timeout = setTimeout(() => reject(new Error('Service worker request timed out.')), SW_CACHE_TIMEOUT_MS);
-
-		channel.port1.onmessage = event => {
-			clearTimeout(timeout);
-			const data = event.data || {};
-			if (data.ok) {
-				resolve(data);
-			} else {
-				reject(new Error(data.error || 'Service worker request failed.'));
-			}
-		};
-
-		worker.postMessage({ type, ...payload }, [channel.port2]);
-	});
-}
-
-async function cacheSongAsset(song) {
-	if (!song?.url) throw new Error('No song selected.');
-	await requestServiceWorkerAction('CACHE_SONG_URL', { url: song.url });
 }
 
 async function removeSongFromCache(song) {
@@ -1081,17 +3659,107 @@ async function removeSongFromCache(song) {
 	try {
 		const cache = await caches.open(SONG_CACHE_NAME);
 		await cache.delete(song.url);
+		songSizeByUrl.delete(song.url);
+		cacheIntegrity.delete(song.url);
 	} catch (err) {
 		console.warn('Failed to delete cached song', err);
 	}
 }
 
+window.addEventListener('resize', () => drawWaveform());
+
+if (progressEl) {
+	progressEl.addEventListener('pointerdown', event => {
+		if (!canSeek()) return;
+		isSeekDragging = true;
+		progressEl.setPointerCapture(event.pointerId);
+		renderProgress(progressFractionFromEvent(event) * totalDuration);
+	});
+
+	progressEl.addEventListener('pointermove', event => {
+		if (!isSeekDragging) return;
+		renderProgress(progressFractionFromEvent(event) * totalDuration);
+	});
+
+	progressEl.addEventListener('pointerup', event => {
+		if (!isSeekDragging) return;
+		isSeekDragging = false;
+		seekTo(progressFractionFromEvent(event) * totalDuration);
+	});
+
+	progressEl.addEventListener('pointercancel', () => {
+		isSeekDragging = false;
+	});
+
+	progressEl.addEventListener('keydown', event => {
+		if (!canSeek()) return;
+		const position = getPlaybackPosition();
+		if (event.key === 'ArrowLeft') seekTo(position - SEEK_STEP_SECONDS / 2);
+		else if (event.key === 'ArrowRight') seekTo(position + SEEK_STEP_SECONDS / 2);
+		else if (event.key === 'Home') seekTo(0);
+		else if (event.key === 'End') seekTo(totalDuration);
+		else return;
+		event.preventDefault();
+	});
+}
+
 if (volumeEl) {
 	volumeEl.addEventListener('input', () => {
 		if (gainNode) gainNode.gain.value = parseFloat(volumeEl?.value || '0.5');
 	});
 }
 
+if (normalizationModeEl) normalizationModeEl.addEventListener('change', () => {
+	normalizationMode = NORMALIZATION_MODES.includes(normalizationModeEl.value) ? normalizationModeEl.value : 'off';
+	localStorage.setItem(NORMALIZATION_STORAGE_KEY, normalizationMode);
+	applyNormalization();
+});
+if (filtersEnabledEl) filtersEnabledEl.addEventListener('change', () => updateFilterSettings({ enabled: filtersEnabledEl.checked }));
+if (eqPresetEl) eqPresetEl.addEventListener('change', () => {
+	const preset = EQ_PRESETS[eqPresetEl.value];
+	if (preset) updateFilterSettings({ preset: eqPresetEl.value, gains: [...preset.gains] });
+});
+if (dehissToggleEl) dehissToggleEl.addEventListener('change', () => updateFilterSettings({ dehiss: dehissToggleEl.checked }));
+if (dehissFrequencyEl) dehissFrequencyEl.addEventListener('input', () => {
+	updateFilterSettings({ dehissFrequency: parseFloat(dehissFrequencyEl.value) || DEHISS_DEFAULT_HZ });
+});
+if (limiterToggleEl) limiterToggleEl.addEventListener('change', () => updateFilterSettings({ limiter: limiterToggleEl.checked }));
+if (codecApplyBtn) codecApplyBtn.addEventListener('click', () => {
+	try {
+		setSongCodecOverride(getSelectedSong(), readCodecForm());
+	} catch (err) {
+		setStatus(err.message, 'error');
+	}
+});
+if (codecResetBtn) codecResetBtn.addEventListener('click', () => setSongCodecOverride(getSelectedSong(), null));
+
+if (visualizerModeEl) {
+	visualizerModeEl.addEventListener('change', () => {
+		visualizerMode = VISUALIZER_MODES.includes(visualizerModeEl.value) ? visualizerModeEl.value : 'scope';
+		localStorage.setItem(VISUALIZER_STORAGE_KEY, visualizerMode);
+		if (visualizerCanvasEl) visualizerCanvasEl.hidden = visualizerMode === 'off';
+		clearVisualizer();
+	});
+}
+
+if (speedEl) {
+	speedEl.min = String(SPEED_MIN);
+	speedEl.max = String(SPEED_MAX);
+	speedEl.addEventListener('input', () => setPlaybackRate(parseFloat(speedEl.value) || 1));
+	speedEl.addEventListener('dblclick', () => setPlaybackRate(1));
+}
+
+if (crossfadeEl) {
+	crossfadeEl.max = String(CROSSFADE_MAX_SECONDS);
+	crossfadeEl.addEventListener('input', () => {
+		crossfadeSeconds = clamp(parseFloat(crossfadeEl.value) || 0, 0, CROSSFADE_MAX_SECONDS);
+		renderCrossfade();
+		savePlaybackModes();
+		unscheduleNextTrack();
+		scheduleNextTrack();
+	});
+}
+
 if (themeColorPickerEl) {
 	themeColorPickerEl.addEventListener('input', event => {
 		applyThemeSeed(event.target.value);
@@ -1106,8 +3774,62 @@ if (themeResetBtnEl) {
 }
 
 if (refreshBtn) refreshBtn.addEventListener('click', fetchSongs);
+
+if (searchInputEl) {
+	searchInputEl.addEventListener('input', () => {
+		searchQuery = searchInputEl.value;
+		renderLists();
+	});
+
+	searchInputEl.addEventListener('keydown', event => {
+		if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+			event.preventDefault();
+			moveFilteredSelection(event.key === 'ArrowDown' ? 1 : -1);
+		} else if (event.key === 'Enter') {
+			event.preventDefault();
+			playSelected();
+		} else if (event.key === 'Escape' && searchInputEl.value) {
+			event.preventDefault();
+			searchInputEl.value = '';
+			searchQuery = '';
+			renderLists();
+		}
+	});
+}
+
+if (sortSelectEl) sortSelectEl.addEventListener('change', () => {
+	sortMode = SORT_MODES.includes(sortSelectEl.value) ? sortSelectEl.value : 'default';
+	localStorage.setItem(LIBRARY_VIEW_STORAGE_KEY, JSON.stringify({ sort: sortMode }));
+	renderLists();
+});
+if (importBtn && importFileInputEl) importBtn.addEventListener('click', () => importFileInputEl.click());
+if (importFileInputEl) importFileInputEl.addEventListener('change', async () => {
+	const files = Array.from(importFileInputEl.files || []);
+	importFileInputEl.value = '';
+	await importAudioFiles(files);
+});
 if (playBtn) playBtn.addEventListener('click', () => playSelected());
 if (pauseBtn) pauseBtn.addEventListener('click', () => togglePause());
+if (shuffleBtn) shuffleBtn.addEventListener('click', () => {
+	shuffleEnabled = !shuffleEnabled;
+	shuffleOrder = { key: '', ids: [] };
+	queueCycleIds.clear();
+	savePlaybackModes();
+	updateActionState();
+	setStatus(`Shuffle ${shuffleEnabled ? 'on' : 'off'}.`, 'idle');
+});
+if (repeatBtn) repeatBtn.addEventListener('click', () => {
+	repeatMode = REPEAT_MODES[(REPEAT_MODES.indexOf(repeatMode) + 1) % REPEAT_MODES.length];
+	queueCycleIds.clear();
+	savePlaybackModes();
+	updateActionState();
+	setStatus(`Repeat ${REPEAT_MODE_LABELS[repeatMode].toLowerCase()}.`, 'idle');
+});
+if (resumeBtn) resumeBtn.addEventListener('click', () => resumeSavedPlayback());
+if (resumePositionToggleEl) resumePositionToggleEl.addEventListener('change', () => {
+	savePlaybackState();
+	updateActionState();
+});
 if (stopBtn) stopBtn.addEventListener('click', () => {
 	stop();
 	setStatus('Playback stopped.', 'idle');
@@ -1132,9 +3854,13 @@ if (removeBtn) removeBtn.addEventListener('click', async () => {
 	if (selectedList === 'local') {
 		await removeSongFromCache(removed);
 		saveLocalSongs();
+		refreshStoragePanel();
 		setStatus(`Removed cached copy of ${songDisplayTitle(removed)}.`, 'idle');
 	} else if (selectedList === 'queue') {
 		setStatus(`Removed ${songDisplayTitle(removed)} from queue.`, 'idle');
+	} else if (selectedList === 'playlist') {
+		savePlaylists();
+		setStatus(`Removed ${songDisplayTitle(removed)} from ${getActivePlaylist()?.name || 'playlist'}.`, 'idle');
 	}
 
 	if (selectedIndex >= list.length) selectedIndex = list.length - 1;
@@ -1149,7 +3875,8 @@ if (cacheBtn) cacheBtn.addEventListener('click', async () => {
 	try {
 		await cacheSongAsset(song);
 		await syncLocalSongsWithCache();
-		renderLists();
+		await verifyCachedSongs(localSongs.filter(local => local.url === song.url));
+		refreshStoragePanel();
 		setStatus(`Cached ${songDisplayTitle(song)} for offline playback.`, 'idle');
 	} catch (err) {
 		console.error('Failed to cache song', err);
@@ -1159,6 +3886,151 @@ if (cacheBtn) cacheBtn.addEventListener('click', async () => {
 	}
 });
 
+if (refetchBtn) refetchBtn.addEventListener('click', () => {
+	const song = getSelectedSong();
+	if (song) refetchDamagedSongs([song]);
+});
+if (refetchDamagedBtn) refetchDamagedBtn.addEventListener('click', () => {
+	refetchDamagedSongs(localSongs.filter(song => cacheIntegrity.has(song.url)));
+});
+if (verifyCacheBtn) verifyCacheBtn.addEventListener('click', async () => {
+	verifyCacheBtn.disabled = true;
+	setStatus(`Checking ${localSongs.length} cached song${localSongs.length === 1 ? '' : 's'}…`, 'loading');
+	try {
+		const damaged = await verifyCachedSongs(localSongs, { deep: true });
+		if (damaged) setStatus(`${damaged} cached song${damaged === 1 ? ' is' : 's are'} damaged — see the Local list.`, 'error');
+		else setStatus('Every cached song matches its checksum.', 'idle');
+		refreshStoragePanel();
+	} finally {
+		verifyCacheBtn.disabled = false;
+	}
+});
+
+if (cacheAllBtn) cacheAllBtn.addEventListener('click', () => runBulkCache(publicSongs, 'all public songs'));
+if (cacheFilteredBtn) cacheFilteredBtn.addEventListener('click', () => {
+	runBulkCache(getListView('public').map(entry => entry.song), `songs matching “${searchQuery.trim()}”`);
+});
+if (cachePlaylistBtn) cachePlaylistBtn.addEventListener('click', () => {
+	const playlist = getActivePlaylist();
+	if (playlist) runBulkCache(playlist.songs, playlist.name);
+});
+if (cacheCancelBtn) cacheCancelBtn.addEventListener('click', () => cancelBulkCache());
+if (cacheRetryBtn) cacheRetryBtn.addEventListener('click', () => {
+	const urls = lastFailedCacheUrls;
+	lastFailedCacheUrls = [];
+	runBulkCache(urls.map(url => ({ url })), 'failed songs');
+});
+if (persistStorageBtn) persistStorageBtn.addEventListener('click', async () => {
+	if (!navigator.storage?.persist) return;
+	const granted = await navigator.storage.persist();
+	setStatus(granted ? 'Persistent storage granted.' : 'The browser declined persistent storage.', granted ? 'idle' : 'error');
+	refreshStoragePanel();
+});
+
+if (exportBtn) exportBtn.addEventListener('click', async () => {
+	const song = getSelectedSong();
+	if (!song) return;
+	exportBtn.disabled = true;
+	setStatus(`Exporting ${songDisplayTitle(song)}…`, 'loading');
+	try {
+		await exportSongAsWav(song);
+		setStatus(`Exported ${songDisplayTitle(song)} as WAV.`, 'idle');
+	} catch (err) {
+		console.error('Failed to export song', err);
+		setStatus(`Failed to export song: ${err.message || 'Unknown error'}`, 'error');
+	} finally {
+		updateActionState();
+	}
+});
+
+if (playlistAddBtn) playlistAddBtn.addEventListener('click', () => {
+	const song = getSelectedSong();
+	if (!song || selectedList === 'playlist') return;
+	const added = addSongToPlaylist(song);
+	renderLists();
+	setStatus(`Added ${songDisplayTitle(song)} to ${added.playlist.name}.`, 'idle');
+});
+
+if (playlistSelectEl) playlistSelectEl.addEventListener('change', () => {
+	activePlaylistId = playlistSelectEl.value || null;
+	savePlaylists();
+	if (selectedList === 'playlist') selectedIndex = 0;
+	renderLists();
+});
+
+if (playlistNewBtn) playlistNewBtn.addEventListener('click', () => {
+	const name = prompt('Playlist name', nextPlaylistName());
+	if (name === null || !name.trim()) return;
+	const playlist = createPlaylist(name.trim());
+	renderLists();
+	setStatus(`Created playlist ${playlist.name}.`, 'idle');
+});
+
+if (playlistRenameBtn) playlistRenameBtn.addEventListener('click', () => {
+	const playlist = getActivePlaylist();
+	if (!playlist) return;
+	const name = prompt('Rename playlist', playlist.name);
+	if (name === null || !name.trim()) return;
+	playlist.name = name.trim();
+	savePlaylists();
+	renderLists();
+	setStatus(`Renamed playlist to ${playlist.name}.`, 'idle');
+});
+
+if (playlistDeleteBtn) playlistDeleteBtn.addEventListener('click', () => {
+	const playlist = getActivePlaylist();
+	if (!playlist || !confirm(`Delete playlist "${playlist.name}"?`)) return;
+	playlists = playlists.filter(entry => entry.id !== playlist.id);
+	activePlaylistId = playlists[0]?.id || null;
+	savePlaylists();
+	if (selectedList === 'playlist') selectedIndex = 0;
+	renderLists();
+	setStatus(`Deleted playlist ${playlist.name}.`, 'idle');
+});
+
+if (playlistLoadBtn) playlistLoadBtn.addEventListener('click', () => {
+	const playlist = getActivePlaylist();
+	if (!playlist?.songs.length) return;
+	queueSongs.push(...playlist.songs.map(song => makeSongRecord(serializeSong(song))));
+	renderLists();
+	setStatus(`Added ${playlist.songs.length} songs from ${playlist.name} to the queue.`, 'idle');
+});
+
+if (sourceAddBtn && sourceUrlInputEl) sourceAddBtn.addEventListener('click', async () => {
+	let url;
+	try {
+		url = new URL(sourceUrlInputEl.value.trim()).toString();
+	} catch {
+		setStatus('Enter a full catalog URL, e.g. https://example.com/songs.json.', 'error');
+		return;
+	}
+	if (librarySources.some(source => source.url === url)) {
+		setStatus('That catalog is already a source.', 'idle');
+		return;
+	}
+	sourceUrlInputEl.value = '';
+	await addLibrarySource({ id: `source_${Date.now().toString(36)}`, type: 'url', url, label: sourceLabelFromUrl(url) });
+});
+
+if (sourceUrlInputEl && sourceAddBtn) sourceUrlInputEl.addEventListener('keydown', event => {
+	if (event.key !== 'Enter') return;
+	event.preventDefault();
+	sourceAddBtn.click();
+});
+
+if (sourceFileBtn && sourceFileInputEl) sourceFileBtn.addEventListener('click', () => sourceFileInputEl.click());
+if (sourceFileInputEl) sourceFileInputEl.addEventListener('change', async () => {
+	const [file] = Array.from(sourceFileInputEl.files || []);
+	sourceFileInputEl.value = '';
+	if (!file) return;
+	try {
+		await addCatalogFile(file);
+	} catch (err) {
+		console.error('Failed to add catalog file', err);
+		setStatus(`Failed to add catalog file: ${err.message || 'Unknown error'}`, 'error');
+	}
+});
+
 if (clearQueueBtn) clearQueueBtn.addEventListener('click', () => {
 	queueSongs = [];
 	if (selectedList === 'queue') selectedIndex = -1;
@@ -1212,14 +4084,8 @@ if (listQueueEl) listQueueEl.addEventListener('drop', event => {
 		return;
 	}
 
-	const url = event.dataTransfer.getData('text/song-url');
-	const source = event.dataTransfer.getData('text/song-source');
-	if (!url) return;
-
-	let song = null;
-	if (source === 'public') song = publicSongs.find(entry => entry.url === url);
-	else if (source === 'local') song = localSongs.find(entry => entry.url === url);
-	if (!song) song = inferSongMetadata(url);
+	const song = resolveDroppedSong(event);
+	if (!song) return;
 
 	const to = Math.max(0, Math.min(getDropInsertIndex(listQueueEl, event.clientY), queueSongs.length));
 	queueSongs.splice(to, 0, makeSongRecord(song));
@@ -1229,16 +4095,79 @@ if (listQueueEl) listQueueEl.addEventListener('drop', event => {
 	setStatus(`Queued ${songDisplayTitle(song)}.`, 'idle');
 });
 
+if (listPlaylistEl) listPlaylistEl.addEventListener('dragover', event => {
+	event.preventDefault();
+	// Drag data is only readable on drop, so tell a reorder apart by its type.
+	event.dataTransfer.dropEffect = event.dataTransfer.types.includes('text/playlist-index') ? 'move' : 'copy';
+});
+
+if (listPlaylistEl) listPlaylistEl.addEventListener('drop', event => {
+	event.preventDefault();
+
+	const playlist = getActivePlaylist();
+	const movingIndex = event.dataTransfer.getData('text/playlist-index');
+	if (movingIndex !== '' && playlist) {
+		const from = parseInt(movingIndex, 10);
+		if (Number.isNaN(from) || from < 0 || from >= playlist.songs.length) return;
+		let to = getDropInsertIndex(listPlaylistEl, event.clientY);
+		if (from < to) to -= 1;
+		to = Math.max(0, Math.min(to, playlist.songs.length - 1));
+		const [item] = playlist.songs.splice(from, 1);
+		playlist.songs.splice(to, 0, item);
+		savePlaylists();
+		selectedList = 'playlist';
+		selectedIndex = to;
+		renderLists();
+		return;
+	}
+
+	const song = resolveDroppedSong(event);
+	if (!song) return;
+
+	const added = addSongToPlaylist(song, getDropInsertIndex(listPlaylistEl, event.clientY));
+	selectedList = 'playlist';
+	selectedIndex = added.index;
+	renderLists();
+	setStatus(`Added ${songDisplayTitle(song)} to ${added.playlist.name}.`, 'idle');
+});
+
+function isFileDrag(event) {
+	return Array.from(event.dataTransfer?.types || []).includes('Files');
+}
+
+document.addEventListener('dragover', event => {
+	if (!isFileDrag(event)) return;
+	event.preventDefault();
+	event.dataTransfer.dropEffect = 'copy';
+	document.body.classList.add('drop-active');
+});
+
+document.addEventListener('dragleave', event => {
+	if (!event.relatedTarget) document.body.classList.remove('drop-active');
+});
+
+document.addEventListener('drop', event => {
+	document.body.classList.remove('drop-active');
+	if (!isFileDrag(event)) return;
+	event.preventDefault();
+	importAudioFiles(event.dataTransfer.files);
+});
+
 document.addEventListener('visibilitychange', () => {
+	if (document.hidden) savePlaybackState();
 	if (!document.hidden && isPlaying) ensureAudio();
 });
 
+window.addEventListener('pagehide', () => savePlaybackState());
+
 document.addEventListener('keydown', event => {
 	if (event.target instanceof HTMLInputElement) return;
 	if (event.code === 'Space') {
 		event.preventDefault();
 		if (isPlaying) {
 			togglePause();
+		} else if (pendingResume) {
+			resumeSavedPlayback();
 		} else {
 			playSelected();
 		}
@@ -1249,6 +4178,7 @@ if ('serviceWorker' in navigator) {
 	navigator.serviceWorker.register('./sw.js')
 		.then(() => {
 			setStatus('Ready.', 'idle');
+			syncCatalogSourcesWithWorker();
 		})
 		.catch(err => {
 			console.warn('Service worker registration failed', err);
@@ -1259,12 +4189,38 @@ if ('serviceWorker' in navigator) {
 (async function init() {
 	applyThemeSeed(loadSavedThemeSeed(), { persist: false });
 	bindMediaControls();
+	loadPlaybackModes();
+	renderCrossfade();
+	renderSpeed();
+	loadVisualizerMode();
+	loadWaveforms();
+	loadLoudness();
+	renderNormalizationInfo();
+	loadCodecOverrides();
+	loadFilterSettings();
+	buildFilterControls();
+	renderFilterControls();
+	loadLibraryView();
+	loadLibrarySources();
+	renderSources();
 	loadLocalSongs();
-	updateNowPlayingInfo(null);
+	loadPlaylists();
+	loadPlaybackState();
+	updateNowPlayingInfo(pendingResume?.song || null);
+	if (pendingResume) {
+		if (elapsedEl) elapsedEl.textContent = formatTime(pendingResume.position);
+		setStatus(`Ready to resume ${songDisplayTitle(pendingResume.song)}.`, 'idle');
+	}
 	renderLists();
 
 	const updated = await syncLocalSongsWithCache();
 	if (updated) renderLists();
+	renderCacheJob();
+	refreshStoragePanel();
 
 	await fetchSongs();
+	const damaged = await verifyCachedSongs();
+	if (damaged) {
+		setStatus(`${damaged} cached song${damaged === 1 ? ' is' : 's are'} truncated or out of date — see the Local list.`, 'error');
+	}
 })();
@@ -0,0 +1,140 @@
+const REPORT_INTERVAL_BLOCKS = 8;
+
+class DfpwmStreamProcessor extends AudioWorkletProcessor {
+	constructor(options) {
+		super();
+		const { capacity = 48000 * 20, prebuffer = 24000, rate = 1 } = options?.processorOptions || {};
+		this.ring = new Float32Array(capacity);
+		this.prebuffer = Math.min(prebuffer, capacity);
+		this.readIndex = 0;
+		this.writeIndex = 0;
+		this.available = 0;
+		this.played = 0;
+		this.ended = false;
+		this.buffering = true;
+		this.finished = false;
+		this.blocksSinceReport = 0;
+		this.generation = 0;
+		this.rate = rate;
+		this.phase = 0;
+		this.port.onmessage = event => this.handleMessage(event.data || {});
+	}
+
+	handleMessage(data) {
+		if (data.type === 'push' && data.samples) {
+			this.write(data.samples);
+		} else if (data.type === 'end') {
+			this.ended = true;
+		} else if (data.type === 'reset') {
+			this.reset(data.generation);
+		} else if (data.type === 'rate' && data.rate > 0) {
+			this.rate = data.rate;
+		}
+	}
+
+	reset(generation) {
+		this.generation = generation;
+		this.readIndex = 0;
+		this.writeIndex = 0;
+		this.available = 0;
+		this.played = 0;
+		this.ended = false;
+		this.buffering = true;
+		this.finished = false;
+		this.phase = 0;
+	}
+
+	write(samples) {
+		const { ring } = this;
+		const count = Math.min(samples.length, ring.length - this.available);
+		const first = Math.min(count, ring.length - this.writeIndex);
+		ring.set(samples.subarray(0, first), this.writeIndex);
+		if (count > first) ring.set(samples.subarray(first, count), 0);
+		this.writeIndex = (this.writeIndex + count) % ring.length;
+		this.available += count;
+	}
+
+	// Steps through the ring by `rate` frames per output sample, interpolating between neighbours.
+	// `played` counts source frames consumed, so positions stay in track time at any speed.
+	readResampled(output) {
+		const { ring } = this;
+		let written = 0;
+		while (written < output.length) {
+			if (!this.available || (this.available < 2 && !this.ended)) break;
+			const current = ring[this.readIndex];
+			const next = this.available > 1 ? ring[(this.readIndex + 1) % ring.length] : current;
+			output[written++] = current + (next - current) * this.phase;
+
+			this.phase += this.rate;
+			const steps = Math.min(Math.floor(this.phase), this.available);
+			this.phase -= Math.floor(this.phase);
+			this.readIndex = (this.readIndex + steps) % ring.length;
+			this.available -= steps;
+			this.played += steps;
+		}
+		output.fill(0, written);
+		return written;
+	}
+
+	read(output) {
+		if (this.rate !== 1 || this.phase) return this.readResampled(output);
+		const { ring } = this;
+		const count = Math.min(output.length, this.available);
+		const first = Math.min(count, ring.length - this.readIndex);
+		output.set(ring.subarray(this.readIndex, this.readIndex + first), 0);
+		if (count > first) output.set(ring.subarray(0, count - first), first);
+		output.fill(0, count);
+		this.readIndex = (this.readIndex + count) % ring.length;
+		this.available -= count;
+		this.played += count;
+		return count;
+	}
+
+	report(type) {
+		this.blocksSinceReport = 0;
+		this.port.postMessage({
+			type,
+			generation: this.generation,
+			played: this.played,
+			available: this.available,
+			time: currentTime
+		});
+	}
+
+	process(inputs, outputs) {
+		const output = outputs[0][0];
+		if (this.finished) return false;
+
+		if (this.buffering) {
+			if (this.available >= this.prebuffer || (this.ended && this.available > 0)) {
+				this.buffering = false;
+				this.report(this.played ? 'resumed' : 'started');
+			} else if (this.ended) {
+				this.finished = true;
+				this.report('ended');
+				return false;
+			} else {
+				output.fill(0);
+				if (++this.blocksSinceReport >= REPORT_INTERVAL_BLOCKS) this.report('progress');
+				return true;
+			}
+		}
+
+		const count = this.read(output);
+		if (count < output.length) {
+			if (this.ended) {
+				this.finished = true;
+				this.report('ended');
+				return false;
+			}
+			this.buffering = true;
+			this.report('underrun');
+			return true;
+		}
+
+		if (++this.blocksSinceReport >= REPORT_INTERVAL_BLOCKS) this.report('progress');
+		return true;
+	}
+}
+
+registerProcessor('dfpwm-stream', DfpwmStreamProcessor);
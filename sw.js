@@ -1,7 +1,45 @@
-const APP_CACHE = 'dfpwm-app-shell-v4';
+const APP_CACHE = 'dfpwm-app-shell-v8';
 const SONG_CACHE = 'dfpwm-song-cache-v1';
+const DOWNLOAD_DB = 'dfpwm-downloads';
+const PARTIAL_STORE = 'partials';
+const PARTIAL_CHUNK_STORE = 'partialChunks';
+const PARTIAL_SAVE_BYTES = 256 * 1024;
+const DOWNLOAD_RETRY_LIMIT = 5;
+const DOWNLOAD_RETRY_BASE_MS = 1000;
+const DOWNLOAD_RETRY_MAX_MS = 15000;
 const SONGS_JSON_URL = 'https://pub-050fb801777b4853a0c36256d7ab9b36.r2.dev/songs.json';
-const APP_SHELL_FILES = ['./', './index.html', './script.js', './manifest.json', './sw.js', './icon.png'];
+const APP_SHELL_FILES = ['./', './index.html', './script.js', './dfpwm.js', './catalog.js', './bulk-cache.js', './manifest.json', './sw.js', './stream-worklet.js', './icon.png'];
+
+let catalogUrls = new Set([SONGS_JSON_URL]);
+let catalogUrlsLoaded = false;
+const catalogUrlsReady = loadCatalogUrls();
+
+function catalogSourcesKey() {
+  return new URL('./catalog-sources.json', self.registration.scope).toString();
+}
+
+async function loadCatalogUrls() {
+  try {
+    const cache = await caches.open(SONG_CACHE);
+    const stored = await cache.match(catalogSourcesKey());
+    if (stored) {
+      const urls = await stored.json();
+      if (Array.isArray(urls)) catalogUrls = new Set(urls.filter(url => typeof url === 'string'));
+    }
+  } catch (err) {
+    console.warn('Failed to load catalog sources:', err?.message || err);
+  } finally {
+    catalogUrlsLoaded = true;
+  }
+}
+
+async function saveCatalogUrls(urls) {
+  catalogUrls = new Set(urls);
+  const cache = await caches.open(SONG_CACHE);
+  await cache.put(catalogSourcesKey(), new Response(JSON.stringify(urls), {
+    headers: { 'Content-Type': 'application/json; charset=utf-8' }
+  }));
+}
 
 function appShellUrls() {
   return APP_SHELL_FILES.map(path => new URL(path, self.registration.scope).toString());
@@ -120,18 +158,289 @@ async function handleSongsJson(request) {
   });
 }
 
-async function handleSongFile(request) {
+async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function storeSongResponse(cache, request, response) {
+  const body = await response.arrayBuffer();
+  const declared = parseInt(response.headers.get('Content-Length') || '', 10);
+  const encoded = !!response.headers.get('Content-Encoding');
+  if (!encoded && declared > 0 && body.byteLength !== declared) {
+    throw new Error(`Truncated download: got ${body.byteLength} of ${declared} bytes`);
+  }
+
+  const headers = new Headers(response.headers);
+  headers.set('Content-Length', String(body.byteLength));
+  headers.delete('Content-Encoding');
+  headers.set('X-Song-Bytes', String(body.byteLength));
+  headers.set('X-Song-SHA256', await sha256Hex(body));
+  headers.set('X-Song-Cached-At', String(Date.now()));
+  await cache.put(request, new Response(body, { status: 200, statusText: response.statusText, headers }));
+}
+
+let downloadDbPromise = null;
+
+function openDownloadDb() {
+  if (!downloadDbPromise) {
+    downloadDbPromise = new Promise((resolve, reject) => {
+      const open = indexedDB.open(DOWNLOAD_DB, 2);
+      open.onupgradeneeded = event => {
+        const db = open.result;
+        // Version 1 rewrote each partial download as one growing blob; those records are dropped.
+        if (event.oldVersion >= 1) db.deleteObjectStore(PARTIAL_STORE);
+        db.createObjectStore(PARTIAL_STORE, { keyPath: 'url' });
+        db.createObjectStore(PARTIAL_CHUNK_STORE, { keyPath: ['url', 'index'] });
+      };
+      open.onsuccess = () => resolve(open.result);
+      open.onerror = () => reject(open.error);
+    });
+    downloadDbPromise.catch(() => {
+      downloadDbPromise = null;
+    });
+  }
+  return downloadDbPromise;
+}
+
+// Runs action against the partial download stores in one transaction and resolves with its requests' results.
+async function partialStores(mode, action) {
+  const db = await openDownloadDb();
+  return await new Promise((resolve, reject) => {
+    const tx = db.transaction([PARTIAL_STORE, PARTIAL_CHUNK_STORE], mode);
+    const requests = action(tx.objectStore(PARTIAL_STORE), tx.objectStore(PARTIAL_CHUNK_STORE));
+    tx.oncomplete = () => resolve(requests.map(request => request.result));
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function chunkRange(url) {
+  return IDBKeyRange.bound([url, 0], [url, Infinity]);
+}
+
+// A partial download is a record of its response details plus the pieces saved so far, one per save.
+async function loadPartial(url) {
+  try {
+    const [record, pieces] = await partialStores('readonly', (partials, chunks) => [partials.get(url), chunks.getAll(chunkRange(url))]);
+    if (!record) return null;
+    const blob = new Blob(pieces.map(piece => piece.blob));
+    return blob.size === record.received ? { ...record, blob, pieces: pieces.length } : null;
+  } catch {
+    return null;
+  }
+}
+
+// Saves only the bytes received since the last save, so each save costs the size of its piece.
+async function appendPartial(record, index, blob) {
+  try {
+    await partialStores('readwrite', (partials, chunks) => [partials.put(record), chunks.put({ url: record.url, index, blob })]);
+    return true;
+  } catch (err) {
+    console.warn('Failed to save partial download:', err?.message || err);
+    return false;
+  }
+}
+
+function deletePartial(url) {
+  return partialStores('readwrite', (partials, chunks) => [partials.delete(url), chunks.delete(chunkRange(url))]).catch(() => {});
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Download aborted.', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function resumeValidator(headers) {
+  const etag = headers.get('ETag');
+  if (etag && !etag.startsWith('W/')) return etag;
+  return headers.get('Last-Modified');
+}
+
+// Downloads a song in pieces that survive dropped connections and worker restarts.
+// Received bytes are kept in IndexedDB and the next attempt continues with a Range request.
+async function downloadSong(url, { signal = null, reload = false, onProgress = () => {} } = {}) {
+  const partial = reload ? null : await loadPartial(url);
+  let chunks = partial ? [partial.blob] : [];
+  let received = partial ? partial.blob.size : 0;
+  let total = partial?.total || 0;
+  let validator = partial?.validator || null;
+  let headerEntries = partial?.headers || [];
+  let pieces = partial?.pieces || 0;
+  let unsavedChunks = [];
+  let attempt = 0;
+
+  const persist = async () => {
+    if (!unsavedChunks.length) return;
+    const record = { url, received, total, validator, headers: headerEntries, savedAt: Date.now() };
+    if (await appendPartial(record, pieces, new Blob(unsavedChunks))) {
+      pieces++;
+      unsavedChunks = [];
+    }
+  };
+  const restart = async () => {
+    chunks = [];
+    unsavedChunks = [];
+    received = 0;
+    pieces = 0;
+    await deletePartial(url);
+  };
+
+  while (true) {
+    try {
+      const headers = {};
+      if (received) {
+        headers.Range = `bytes=${received}-`;
+        if (validator) headers['If-Range'] = validator;
+      }
+      const response = await fetch(url, { signal, headers, cache: reload && !received ? 'reload' : 'no-store' });
+
+      if (response.status === 200) {
+        const length = parseInt(response.headers.get('Content-Length') || '', 10);
+        if (received) await restart();
+        total = response.headers.get('Content-Encoding') ? 0 : (length > 0 ? length : 0);
+        validator = resumeValidator(response.headers);
+        headerEntries = [...response.headers];
+      } else if (response.status === 206) {
+        const match = /^bytes (\d+)-\d+\/(\d+|\*)$/i.exec(response.headers.get('Content-Range') || '');
+        if (!match || parseInt(match[1], 10) !== received) {
+          await restart();
+          throw new Error('Server resumed at an unexpected offset.');
+        }
+        if (match[2] !== '*') total = parseInt(match[2], 10);
+      } else {
+        const error = new Error(`HTTP ${response.status}`);
+        error.permanent = response.status >= 400 && response.status < 500 && ![408, 416, 429].includes(response.status);
+        if (response.status === 416) await restart();
+        throw error;
+      }
+
+      const reader = response.body.getReader();
+      let unsaved = 0;
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        unsavedChunks.push(value);
+        received += value.length;
+        unsaved += value.length;
+        attempt = 0;
+        if (unsaved >= PARTIAL_SAVE_BYTES) {
+          unsaved = 0;
+          await persist();
+          onProgress({ status: 'downloading', received, size: total });
+        }
+      }
+
+      if (total && received !== total) {
+        throw new Error(`Connection closed after ${received} of ${total} bytes.`);
+      }
+
+      await deletePartial(url);
+      const responseHeaders = new Headers(headerEntries);
+      responseHeaders.delete('Content-Range');
+      responseHeaders.delete('Content-Encoding');
+      responseHeaders.set('Content-Length', String(received));
+      return new Response(new Blob(chunks), { status: 200, headers: responseHeaders });
+    } catch (err) {
+      // A 404 or 410 will not come back, so the bytes kept so far can never be completed.
+      if (err?.permanent) {
+        await deletePartial(url);
+        throw err;
+      }
+      if (received) await persist();
+      if (signal?.aborted || err?.name === 'AbortError') throw err;
+      if (++attempt > DOWNLOAD_RETRY_LIMIT) throw err;
+
+      const delay = Math.min(DOWNLOAD_RETRY_BASE_MS * 2 ** (attempt - 1), DOWNLOAD_RETRY_MAX_MS);
+      onProgress({ status: 'retrying', attempt, delay, received, size: total, error: err?.message || 'Download failed.' });
+      await sleep(delay, signal);
+    }
+  }
+}
+
+async function cacheSongUrl(url, { refresh = false, signal = null, onProgress } = {}) {
+  const cache = await caches.open(SONG_CACHE);
+  if (!refresh && await cache.match(url, { ignoreSearch: true })) return 'skipped';
+  if (refresh) await deletePartial(url);
+  const response = await downloadSong(url, { signal, reload: refresh, onProgress });
+  await storeSongResponse(cache, url, response);
+  return 'cached';
+}
+
+async function handleSongFile(event) {
+  const { request } = event;
   const cache = await caches.open(SONG_CACHE);
   const cached = await cache.match(request, { ignoreSearch: true });
   if (cached) return cached;
 
+  // Hand the network response straight to the page so playback can stream while the copy is cached.
   const response = await fetch(request);
-  if (response && response.ok) {
-    await cache.put(request, response.clone());
+  if (response && response.status === 200) {
+    event.waitUntil(storeSongResponse(cache, request, response.clone()).catch(err => {
+      console.warn('Failed to cache song:', err?.message || err);
+    }));
   }
   return response;
 }
 
+function parseRangeHeader(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/i.exec((header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end = size - 1;
+  if (!match[1]) {
+    start = Math.max(size - parseInt(match[2], 10), 0);
+  } else {
+    start = parseInt(match[1], 10);
+    if (match[2]) end = Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) return { unsatisfiable: true };
+  return { start, end };
+}
+
+async function partialResponse(response, rangeHeader) {
+  const blob = await response.blob();
+  const range = parseRangeHeader(rangeHeader, blob.size);
+  const headers = new Headers(response.headers);
+  headers.set('Accept-Ranges', 'bytes');
+
+  // Multi-range and malformed headers fall back to the whole file, which is a valid reply to any Range request.
+  if (!range) {
+    headers.set('Content-Length', String(blob.size));
+    return new Response(blob, { status: 200, statusText: 'OK', headers });
+  }
+  if (range.unsatisfiable) {
+    return new Response('', {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${blob.size}` }
+    });
+  }
+
+  headers.set('Content-Range', `bytes ${range.start}-${range.end}/${blob.size}`);
+  headers.set('Content-Length', String(range.end - range.start + 1));
+  return new Response(blob.slice(range.start, range.end + 1), { status: 206, statusText: 'Partial Content', headers });
+}
+
+async function handleSongRange(request) {
+  const cache = await caches.open(SONG_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return partialResponse(cached, request.headers.get('Range'));
+  return fetch(request);
+}
+
 self.addEventListener('fetch', event => {
   const { request } = event;
   if (request.method !== 'GET') return;
@@ -143,14 +452,24 @@ self.addEventListener('fetch', event => {
     return;
   }
 
-  if (url.href === SONGS_JSON_URL) {
+  if (catalogUrls.has(url.href)) {
     event.respondWith(handleSongsJson(request));
     return;
   }
 
+  if (!catalogUrlsLoaded && url.pathname.toLowerCase().endsWith('.json')) {
+    event.respondWith((async () => {
+      await catalogUrlsReady;
+      if (catalogUrls.has(url.href)) return handleSongsJson(request);
+      if (url.origin === self.location.origin) return handleStaticAsset(request);
+      return fetch(request);
+    })());
+    return;
+  }
+
   if (isSongAsset(url)) {
     event.respondWith(
-      handleSongFile(request).catch(() => new Response('', { status: 504, statusText: 'Offline' }))
+      (request.headers.has('Range') ? handleSongRange(request) : handleSongFile(event)).catch(() => new Response('', { status: 504, statusText: 'Offline' }))
     );
     return;
   }
@@ -160,6 +479,40 @@ self.addEventListener('fetch', event => {
   }
 });
 
+const cacheJobs = new Map();
+
+async function cacheSongBatch(job, urls, respond) {
+  let cached = 0;
+  let failed = 0;
+
+  for (let index = 0; index < urls.length; index++) {
+    if (job.cancelled) break;
+    const url = urls[index];
+    let status;
+    let error = null;
+
+    try {
+      job.controller = new AbortController();
+      status = await cacheSongUrl(url, {
+        signal: job.controller.signal,
+        onProgress: detail => respond({ type: 'progress', jobId: job.id, url, index, total: urls.length, ...detail })
+      });
+      cached++;
+    } catch (err) {
+      if (job.cancelled) break;
+      status = 'failed';
+      error = err?.message || 'Failed to cache song.';
+      failed++;
+    } finally {
+      job.controller = null;
+    }
+
+    respond({ type: 'progress', jobId: job.id, url, index, total: urls.length, status, error });
+  }
+
+  return { cached, failed };
+}
+
 self.addEventListener('message', event => {
   const data = event.data;
   if (!data || typeof data !== 'object') return;
@@ -172,15 +525,54 @@ self.addEventListener('message', event => {
   if (data.type === 'CACHE_SONG_URL' && typeof data.url === 'string') {
     event.waitUntil((async () => {
       try {
-        const request = new Request(data.url, { method: 'GET' });
-        const response = await handleSongFile(request);
-        if (!response || !response.ok) {
-          throw new Error(`HTTP ${response?.status || 'cache failed'}`);
-        }
-        respond({ ok: true, url: data.url });
+        const status = await cacheSongUrl(data.url, {
+          refresh: !!data.refresh,
+          onProgress: detail => respond({ type: 'progress', url: data.url, ...detail })
+        });
+        respond({ ok: true, url: data.url, status });
       } catch (err) {
         respond({ ok: false, error: err?.message || 'Failed to cache song.' });
       }
     })());
   }
+
+  if (data.type === 'CACHE_SONGS' && typeof data.jobId === 'string' && Array.isArray(data.urls)) {
+    const job = { id: data.jobId, cancelled: false, controller: null };
+    cacheJobs.set(job.id, job);
+    event.waitUntil((async () => {
+      try {
+        const urls = data.urls.filter(url => typeof url === 'string');
+        const { cached, failed } = await cacheSongBatch(job, urls, respond);
+        respond({ ok: true, type: 'done', jobId: job.id, cached, failed, cancelled: job.cancelled });
+      } catch (err) {
+        respond({ ok: false, error: err?.message || 'Failed to cache songs.' });
+      } finally {
+        cacheJobs.delete(job.id);
+      }
+    })());
+  }
+
+  if (data.type === 'CANCEL_CACHE_JOB' && typeof data.jobId === 'string') {
+    const job = cacheJobs.get(data.jobId);
+    if (job) {
+      job.cancelled = true;
+      if (job.controller) job.controller.abort();
+    }
+    respond({ ok: true, jobId: data.jobId });
+  }
+
+  if (data.type === 'SET_CATALOG_SOURCES' && Array.isArray(data.urls)) {
+    event.waitUntil((async () => {
+      try {
+        await catalogUrlsReady;
+        const urls = data.urls.filter(url => typeof url === 'string');
+        const added = urls.filter(url => !catalogUrls.has(url));
+        await saveCatalogUrls(urls);
+        await Promise.allSettled(added.map(url => handleSongsJson(new Request(url, { method: 'GET' }))));
+        respond({ ok: true, urls });
+      } catch (err) {
+        respond({ ok: false, error: err?.message || 'Failed to update catalog sources.' });
+      }
+    })());
+  }
 });
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cacheInBatches } from '../bulk-cache.js';
+
+const URLS = Array.from({ length: 20 }, (_, i) => `https://example.com/song-${i}.dfpwm`);
+
+test('caches every batch when nothing is cancelled', async () => {
+	const batches = [];
+	const { remaining } = await cacheInBatches(URLS, {
+		batchSize: 8,
+		isCancelled: () => false,
+		cacheBatch: async batch => {
+			batches.push(batch.length);
+			return { cancelled: false, attempted: batch.length };
+		}
+	});
+	assert.deepEqual(batches, [8, 8, 4]);
+	assert.deepEqual(remaining, []);
+});
+
+test('cancelling partway through a batch keeps its untried songs in the remainder', async () => {
+	let cancelled = false;
+	const { remaining } = await cacheInBatches(URLS, {
+		batchSize: 8,
+		isCancelled: () => cancelled,
+		cacheBatch: async batch => {
+			if (batch[0] !== URLS[8]) return { cancelled: false, attempted: batch.length };
+			// The service worker finished 3 songs of the second batch before the cancel reached it.
+			cancelled = true;
+			return { cancelled: true, attempted: 3 };
+		}
+	});
+	assert.deepEqual(remaining, URLS.slice(11));
+});
+
+test('a cancel between batches leaves the later batches untried', async () => {
+	let calls = 0;
+	const { remaining } = await cacheInBatches(URLS, {
+		batchSize: 8,
+		isCancelled: () => calls === 1,
+		cacheBatch: async batch => {
+			calls += 1;
+			return { cancelled: false, attempted: batch.length };
+		}
+	});
+	assert.equal(calls, 1);
+	assert.deepEqual(remaining, URLS.slice(8));
+});
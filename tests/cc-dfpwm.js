@@ -0,0 +1,90 @@
+// Line-for-line port of CC: Tweaked's cc.audio.dfpwm (rom/modules/main/cc/audio/dfpwm.lua), the decoder
+// ComputerCraft speakers use. It only exists to regenerate the golden files; keep it as close to the Lua as possible.
+
+const PREC = 10;
+const PREC_POW = 2 ** PREC;
+const PREC_POW_HALF = 2 ** (PREC - 1);
+const STRENGTH_MIN = 2 << (PREC - 8);
+
+function makePredictor() {
+	let charge = 0;
+	let strength = 0;
+	let previousBit = false;
+
+	return currentBit => {
+		const target = currentBit ? 127 : -128;
+
+		let nextCharge = charge + Math.floor((strength * (target - charge) + PREC_POW_HALF) / PREC_POW);
+		if (nextCharge === charge && nextCharge !== target) {
+			nextCharge += currentBit ? 1 : -1;
+		}
+
+		const z = currentBit === previousBit ? PREC_POW - 1 : 0;
+		let nextStrength = strength;
+		if (nextStrength !== z) nextStrength += currentBit === previousBit ? 1 : -1;
+		if (nextStrength < STRENGTH_MIN) nextStrength = STRENGTH_MIN;
+
+		charge = nextCharge;
+		strength = nextStrength;
+		previousBit = currentBit;
+		return charge;
+	};
+}
+
+// Returns signed 8-bit levels, exactly like the Lua decoder's output table.
+export function makeDecoder() {
+	const predictor = makePredictor();
+	let lowPassCharge = 0;
+	let previousCharge = 0;
+	let previousBit = false;
+
+	return input => {
+		const output = [];
+		for (let inputByte of input) {
+			for (let i = 0; i < 8; i++) {
+				const currentBit = (inputByte & 1) !== 0;
+				const charge = predictor(currentBit);
+
+				let antijerk = charge;
+				if (currentBit !== previousBit) {
+					antijerk = Math.floor((charge + previousCharge + 1) / 2);
+				}
+
+				previousCharge = charge;
+				previousBit = currentBit;
+
+				lowPassCharge += Math.floor(((antijerk - lowPassCharge) * 140 + 0x80) / 256);
+				output.push(lowPassCharge);
+
+				inputByte >>= 1;
+			}
+		}
+		return output;
+	};
+}
+
+// Takes signed 8-bit levels (-128..127); a partial final byte is padded with silence like the Lua version.
+export function makeEncoder() {
+	const predictor = makePredictor();
+	let previousCharge = 0;
+
+	return input => {
+		const output = [];
+		for (let i = 0; i < input.length; i += 8) {
+			let thisByte = 0;
+			for (let j = 0; j < 8; j++) {
+				const inputCharge = Math.floor(input[i + j] ?? 0);
+				if (inputCharge > 127 || inputCharge < -128) {
+					throw new RangeError(`Amplitude at position ${i + j} was ${inputCharge}, but should be between -128..127`);
+				}
+
+				const currentBit = inputCharge > previousCharge || (inputCharge === previousCharge && inputCharge === 127);
+				thisByte = Math.floor(thisByte / 2) + (currentBit ? 128 : 0);
+
+				previousCharge = predictor(currentBit);
+			}
+			output.push(thisByte);
+		}
+		return Uint8Array.from(output);
+	};
+}
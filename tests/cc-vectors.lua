@@ -0,0 +1,54 @@
+-- Records what CC: Tweaked's own cc.audio.dfpwm makes of the golden vectors, so the tests can check the
+-- JavaScript port against the real module rather than only against itself.
+-- Copy tests/golden and this script onto a ComputerCraft computer (or CraftOS-PC) and run:
+--   cc-vectors golden
+-- then copy the new *.cc.pcm, *.cc.dfpwm and cc-source.txt files back into tests/golden.
+local dfpwm = require("cc.audio.dfpwm")
+
+local dir = ... or "golden"
+
+local function read(name)
+    local handle = fs.open(fs.combine(dir, name), "rb")
+    if not handle then return nil end
+    local data = handle.readAll()
+    handle.close()
+    return data
+end
+
+local function write(name, data)
+    local handle = assert(fs.open(fs.combine(dir, name), "wb"))
+    handle.write(data)
+    handle.close()
+end
+
+-- Signed levels are stored as two's-complement bytes, the same layout as the .pcm files.
+local function levelsToBytes(levels)
+    local parts = {}
+    for i = 1, #levels do parts[i] = string.char(levels[i] % 256) end
+    return table.concat(parts)
+end
+
+-- Vectors listed in options.json use other codec settings, which cc.audio.dfpwm does not have.
+local options = textutils.unserializeJSON(read("options.json") or "{}") or {}
+
+local count = 0
+for _, file in ipairs(fs.list(dir)) do
+    local name = file:match("^([^.]+)%.dfpwm$")
+    if name and not options[name] then
+        write(name .. ".cc.pcm", levelsToBytes(dfpwm.make_decoder()(read(file))))
+
+        local input = read(name .. ".input.pcm")
+        if input then
+            local levels = {}
+            for i = 1, #input do
+                local byte = input:byte(i)
+                levels[i] = byte >= 128 and byte - 256 or byte
+            end
+            write(name .. ".cc.dfpwm", dfpwm.make_encoder()(levels))
+        end
+        count = count + 1
+    end
+end
+
+write("cc-source.txt", ("%s\ncc.audio.dfpwm\n"):format(_HOST or "unknown host"))
+print(("Recorded %d vectors with %s"):format(count, _HOST or "cc.audio.dfpwm"))
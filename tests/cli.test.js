@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { promisify } from 'node:util';
+import { validateCatalogEntry } from '../catalog.js';
+import { readWav } from '../bin/wav.js';
+
+const CLI = fileURLToPath(new URL('../bin/dfpwm.js', import.meta.url));
+const SAMPLES = [0, 0.5, -0.5, -1, 0.25, -0.25];
+
+const WRITERS = {
+	'1:8': (buffer, sample, offset) => buffer.writeUInt8(Math.min(Math.round(sample * 128) + 128, 255), offset),
+	'1:16': (buffer, sample, offset) => buffer.writeInt16LE(Math.min(Math.round(sample * 32768), 32767), offset),
+	'1:24': (buffer, sample, offset) => buffer.writeIntLE(Math.min(Math.round(sample * 8388608), 8388607), offset, 3),
+	'3:32': (buffer, sample, offset) => buffer.writeFloatLE(sample, offset)
+};
+
+// Interleaved samples in, a minimal RIFF/WAVE file out.
+function makeWav(audioFormat, bitsPerSample, samples, { channels = 1, sampleRate = 8000 } = {}) {
+	const bytesPerSample = bitsPerSample / 8;
+	const header = Buffer.alloc(44);
+	header.write('RIFF', 0, 'latin1');
+	header.writeUInt32LE(36 + samples.length * bytesPerSample, 4);
+	header.write('WAVE', 8, 'latin1');
+	header.write('fmt ', 12, 'latin1');
+	header.writeUInt32LE(16, 16);
+	header.writeUInt16LE(audioFormat, 20);
+	header.writeUInt16LE(channels, 22);
+	header.writeUInt32LE(sampleRate, 24);
+	header.writeUInt32LE(sampleRate * channels * bytesPerSample, 28);
+	header.writeUInt16LE(channels * bytesPerSample, 32);
+	header.writeUInt16LE(bitsPerSample, 34);
+	header.write('data', 36, 'latin1');
+	header.writeUInt32LE(samples.length * bytesPerSample, 40);
+
+	const data = Buffer.alloc(samples.length * bytesPerSample);
+	samples.forEach((sample, i) => WRITERS[`${audioFormat}:${bitsPerSample}`](data, sample, i * bytesPerSample));
+	return Buffer.concat([header, data]);
+}
+
+for (const [label, audioFormat, bitsPerSample] of [['8-bit', 1, 8], ['16-bit', 1, 16], ['24-bit', 1, 24], ['32-bit float', 3, 32]]) {
+	test(`readWav reads ${label} PCM`, () => {
+		const wav = readWav(makeWav(audioFormat, bitsPerSample, SAMPLES));
+		assert.equal(wav.sampleRate, 8000);
+		assert.equal(wav.bitsPerSample, bitsPerSample);
+		assert.equal(wav.frames, SAMPLES.length);
+		assert.deepEqual([...wav.samples], SAMPLES);
+	});
+}
+
+test('readWav downmixes stereo to mono', () => {
+	const wav = readWav(makeWav(3, 32, [0.5, -0.5, 1, 0, -1, -0.5], { channels: 2 }));
+	assert.equal(wav.frames, 3);
+	assert.deepEqual([...wav.samples], [0, 0.5, -0.75]);
+});
+
+test('readWav rejects files that are not WAV', () => {
+	assert.throws(() => readWav(Buffer.from('not a wav file')), /Not a RIFF\/WAVE file/);
+});
+
+test('catalog output passes catalog validation', async t => {
+	const dir = await mkdtemp(path.join(tmpdir(), 'dfpwm-catalog-'));
+	t.after(() => rm(dir, { recursive: true, force: true }));
+	await writeFile(path.join(dir, 'First Song (demo).dfpwm'), new Uint8Array(6000).fill(0x55));
+	await writeFile(path.join(dir, 'empty.dfpwm'), new Uint8Array(0));
+	const baseUrl = pathToFileURL(path.join(dir, 'catalog.json')).href;
+
+	for (const args of [[], ['--codec', 'dfpwm1', '--rate', '32000']]) {
+		const { stdout } = await promisify(execFile)(process.execPath, [CLI, 'catalog', dir, ...args]);
+		const { songs } = JSON.parse(stdout);
+		assert.equal(songs.length, 2);
+
+		const issues = [];
+		const validated = songs.map(song => validateCatalogEntry(song, baseUrl, message => issues.push(`${song.url} ${message}`)));
+		assert.deepEqual(issues, []);
+		assert.ok(validated.every(Boolean));
+
+		const empty = songs.find(song => song.url === 'empty.dfpwm');
+		assert.equal(empty.bytes, 0);
+		assert.equal(empty.duration, undefined);
+	}
+});
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync, existsSync } from 'node:fs';
+import { DFPWM, createDecoderStream, decode, encode } from '../dfpwm.js';
+
+const GOLDEN_DIR = new URL('./golden/', import.meta.url);
+
+const exists = name => existsSync(new URL(name, GOLDEN_DIR));
+
+function readLevels(name) {
+	const data = readFileSync(new URL(name, GOLDEN_DIR));
+	return new Int8Array(data.buffer, data.byteOffset, data.length);
+}
+
+// <name>.pcm and <name>.dfpwm come from the JavaScript port in cc-dfpwm.js; <name>.cc.* files, when present,
+// were recorded from CC: Tweaked's own cc.audio.dfpwm by cc-vectors.lua.
+const vectors = readdirSync(GOLDEN_DIR)
+	.filter(name => name.endsWith('.dfpwm') && !name.endsWith('.cc.dfpwm'))
+	.map(file => {
+		const name = file.replace(/\.dfpwm$/, '');
+		return {
+			name,
+			bytes: new Uint8Array(readFileSync(new URL(file, GOLDEN_DIR))),
+			expected: readLevels(`${name}.pcm`),
+			input: exists(`${name}.input.pcm`) ? readLevels(`${name}.input.pcm`) : null,
+			ccExpected: exists(`${name}.cc.pcm`) ? readLevels(`${name}.cc.pcm`) : null,
+			ccBytes: exists(`${name}.cc.dfpwm`) ? new Uint8Array(readFileSync(new URL(`${name}.cc.dfpwm`, GOLDEN_DIR))) : null
+		};
+	});
+const vectorOptions = exists('options.json') ? JSON.parse(readFileSync(new URL('options.json', GOLDEN_DIR), 'utf8')) : {};
+for (const vector of vectors) vector.options = vectorOptions[vector.name] || {};
+const ccSource = exists('cc-source.txt') ? readFileSync(new URL('cc-source.txt', GOLDEN_DIR), 'utf8').split('\n')[0] : null;
+
+// The decoder's output is lpflevel / 128, so scaling back recovers the reference's integer levels exactly.
+function toLevels(chunks) {
+	const levels = [];
+	for (const pcm of chunks) {
+		for (const sample of pcm) levels.push(sample * 128);
+	}
+	return levels;
+}
+
+function assertLevels(actual, expected, label) {
+	assert.equal(actual.length, expected.length, `${label}: sample count`);
+	const index = actual.findIndex((level, i) => level !== expected[i]);
+	assert.equal(index, -1, `${label}: first mismatch at sample ${index} (got ${actual[index]}, expected ${expected[index]})`);
+}
+
+function split(bytes, size) {
+	const chunks = [];
+	for (let offset = 0; offset < bytes.length; offset += size) chunks.push(bytes.subarray(offset, offset + size));
+	return chunks;
+}
+
+test('golden vectors are present', () => {
+	assert.ok(vectors.length >= 5, `expected golden files in ${GOLDEN_DIR.pathname}`);
+});
+
+test('golden vectors recorded from CC: Tweaked are present', { skip: ccSource ? false : 'run tests/cc-vectors.lua in CC: Tweaked to record them' }, () => {
+	assert.ok(vectors.some(vector => vector.ccExpected), `expected *.cc.pcm files next to ${ccSource}`);
+});
+
+for (const vector of vectors) {
+	test(`${vector.name}: decode matches the ComputerCraft reference`, () => {
+		assertLevels(toLevels([decode(vector.bytes, vector.options)]), vector.expected, vector.name);
+	});
+
+	if (vector.ccExpected) {
+		test(`${vector.name}: decode matches ${ccSource}`, () => {
+			assertLevels(toLevels([decode(vector.bytes)]), vector.ccExpected, `${vector.name} from ${ccSource}`);
+		});
+	}
+
+	test(`${vector.name}: state carries over between decode calls`, () => {
+		for (const size of [1, 2, 3, 7, 64, 333]) {
+			const decoder = new DFPWM(vector.options);
+			const chunks = split(vector.bytes, size).map(chunk => decoder.decode(chunk));
+			assertLevels(toLevels(chunks), vector.expected, `${vector.name} in ${size}-byte chunks`);
+		}
+	});
+
+	if (vector.input) {
+		test(`${vector.name}: encode matches the ComputerCraft reference`, () => {
+			const samples = Float32Array.from(vector.input, level => level / 128);
+			assert.deepEqual(encode(samples, vector.options), vector.bytes);
+
+			// Chunk sizes that are not multiples of 8 leave bits pending across calls.
+			const encoder = new DFPWM(vector.options);
+			const parts = split(samples, 13).map(chunk => encoder.encode(chunk));
+			assert.equal(encoder.pendingBits, 0);
+			assert.deepEqual(Uint8Array.from(parts.flatMap(part => [...part])), vector.bytes);
+		});
+	}
+
+	if (vector.input && vector.ccBytes) {
+		test(`${vector.name}: encode matches ${ccSource}`, () => {
+			assert.deepEqual(encode(Float32Array.from(vector.input, level => level / 128)), vector.ccBytes);
+		});
+	}
+}
+
+test('every split point of a stream decodes like one call', () => {
+	const { bytes, expected } = vectors.find(vector => vector.name === 'quiet');
+	for (let at = 1; at < bytes.length; at += 37) {
+		const decoder = new DFPWM();
+		const chunks = [decoder.decode(bytes.subarray(0, at)), decoder.decode(bytes.subarray(at))];
+		assertLevels(toLevels(chunks), expected, `quiet split at byte ${at}`);
+	}
+});
+
+test('decoder stream keeps state across chunks', async () => {
+	const { bytes, expected } = vectors.find(vector => vector.name === 'chirp');
+	const source = new ReadableStream({
+		start(controller) {
+			for (const chunk of split(bytes, 5)) controller.enqueue(chunk);
+			controller.close();
+		}
+	});
+	const chunks = [];
+	for await (const pcm of source.pipeThrough(createDecoderStream())) chunks.push(pcm);
+	assertLevels(toLevels(chunks), expected, 'chirp through createDecoderStream');
+});
+
+test('decode accepts ArrayBuffer and other typed-array views', () => {
+	const { bytes, expected } = vectors.find(vector => vector.name === 'noise');
+	const copy = bytes.slice();
+	assertLevels(toLevels([decode(copy.buffer)]), expected, 'ArrayBuffer input');
+	assertLevels(toLevels([decode(new DataView(copy.buffer))]), expected, 'DataView input');
+});
+
+test('response saturates at the maximum and clamps to the minimum', () => {
+	const rising = new DFPWM();
+	rising.decode(new Uint8Array(256).fill(0xff));
+	assert.equal(rising.response, rising.MAX_RESPONSE);
+	assert.equal(rising.level, 127);
+
+	const falling = new DFPWM();
+	falling.decode(new Uint8Array(256));
+	assert.equal(falling.response, falling.MAX_RESPONSE);
+	assert.equal(falling.level, -128);
+
+	// Alternating bits drive the response down until the floor holds it.
+	falling.decode(new Uint8Array(256).fill(0x55));
+	assert.equal(falling.response, falling.MIN_RESPONSE);
+});
+
+test('DFPWM1a is the default profile', () => {
+	const { bytes } = vectors.find(vector => vector.name === 'noise');
+	assert.deepEqual(new DFPWM({ profile: 'dfpwm1a' }).decode(bytes), new DFPWM().decode(bytes));
+});
+
+test('DFPWM1 keeps 10-bit charge and response with a floor of 4', () => {
+	const codec = new DFPWM({ profile: 'dfpwm1' });
+	assert.equal(codec.MAX_RESPONSE, 1023);
+	assert.equal(codec.MIN_RESPONSE, 4);
+	assert.equal(new DFPWM().MIN_RESPONSE, 8);
+});
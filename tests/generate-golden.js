@@ -0,0 +1,76 @@
+// Regenerates tests/golden from the ComputerCraft reference port: node tests/generate-golden.js
+// Each vector is <name>.dfpwm plus the expected decoder output <name>.pcm (signed 8-bit levels).
+// Vectors made by the reference encoder also keep their source levels as <name>.input.pcm.
+// Vectors for other codec settings come from reference-dfpwm.js; options.json lists the DFPWM options for each.
+import { writeFileSync } from 'node:fs';
+import { makeDecoder, makeEncoder } from './cc-dfpwm.js';
+import * as reference from './reference-dfpwm.js';
+
+const GOLDEN_DIR = new URL('./golden/', import.meta.url);
+const SAMPLE_RATE = 48000;
+
+function tone(samples, amplitude, frequency) {
+	return Int8Array.from({ length: samples }, (_, i) => Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE)));
+}
+
+function noiseBytes(length, seed) {
+	let state = seed;
+	return Uint8Array.from({ length }, () => {
+		state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+		return state >>> 24;
+	});
+}
+
+const encoded = {
+	silence: new Int8Array(4096),
+	sine: tone(8192, 100, 440),
+	quiet: tone(8192, 3, 60),
+	chirp: Int8Array.from({ length: 8192 }, (_, i) => Math.round(120 * (i / 8192) * Math.sin(2 * Math.PI * (50 + i / 4) * i / SAMPLE_RATE)))
+};
+const raw = {
+	zeros: new Uint8Array(256),
+	ones: new Uint8Array(256).fill(0xff),
+	noise: noiseBytes(1024, 0x1a2b3c4d)
+};
+
+// Each entry pairs the options given to DFPWM with the constants the reference model runs on.
+const variants = {
+	dfpwm1: {
+		options: { profile: 'dfpwm1' },
+		params: { prec: 10, shift: 8, inc: 7, dec: 20, floor: 4, lpfStrength: 100, antijerk: false, proportional: true }
+	},
+	custom: {
+		options: { profile: 'dfpwm1a', respPrec: 12, lpfStrength: 200, antijerk: false },
+		params: { prec: 12, shift: 8, inc: 1, dec: 1, floor: 32, lpfStrength: 200, antijerk: false, proportional: false }
+	}
+};
+
+const write = (name, data) => writeFileSync(new URL(name, GOLDEN_DIR), data);
+const writeLevels = (name, levels) => write(name, new Uint8Array(Int8Array.from(levels).buffer));
+
+for (const [name, levels] of Object.entries(encoded)) {
+	write(`${name}.input.pcm`, new Uint8Array(levels.buffer));
+	raw[name] = makeEncoder()(levels);
+}
+for (const [name, bytes] of Object.entries(raw)) {
+	write(`${name}.dfpwm`, bytes);
+	writeLevels(`${name}.pcm`, makeDecoder()(bytes));
+}
+
+const options = {};
+for (const [variant, { params, ...rest }] of Object.entries(variants)) {
+	const vectors = {
+		[`${variant}-sine`]: reference.makeEncoder(params)(encoded.sine),
+		[`${variant}-chirp`]: reference.makeEncoder(params)(encoded.chirp),
+		[`${variant}-noise`]: raw.noise
+	};
+	for (const [name, bytes] of Object.entries(vectors)) {
+		const source = name.slice(variant.length + 1);
+		if (encoded[source]) write(`${name}.input.pcm`, new Uint8Array(encoded[source].buffer));
+		write(`${name}.dfpwm`, bytes);
+		writeLevels(`${name}.pcm`, reference.makeDecoder(params)(bytes));
+		options[name] = rest.options;
+	}
+}
+write('options.json', `${JSON.stringify(options, null, '\t')}\n`);
+console.log(`Wrote ${Object.keys(raw).length + Object.keys(options).length} golden vectors.`);
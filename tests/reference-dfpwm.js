@@ -0,0 +1,73 @@
+// Parameterised model of the DFPWM reference codec, updated one bit at a time like the original C ctx_update.
+// cc-dfpwm.js only covers DFPWM1a; this one regenerates the DFPWM1 and custom-parameter golden files.
+// Its constants are spelled out by generate-golden.js rather than read from DFPWM_PROFILES, so a wrong profile
+// table in dfpwm.js shows up as a failing vector instead of being copied into the expected output.
+
+function makePredictor({ prec, shift, inc, dec, floor, proportional }) {
+	const max = 2 ** prec - 1;
+	let level = 0;
+	let response = 0;
+	let lastbit = false;
+
+	return bit => {
+		const target = bit ? 127 : -128;
+		let nlevel = level + Math.floor((response * (target - level) + 2 ** (prec - 1)) / 2 ** prec);
+		if (nlevel === level && level !== target) nlevel += bit ? 1 : -1;
+
+		const same = bit === lastbit;
+		const rtarget = same ? max : 0;
+		let nresponse = response;
+		if (response !== rtarget && proportional) {
+			nresponse += Math.floor(((same ? inc : dec) * (rtarget - response) + 2 ** (shift - 1)) / 2 ** shift);
+			if (nresponse === response) nresponse += same ? 1 : -1;
+		} else if (response !== rtarget) {
+			nresponse += same ? inc : -dec;
+		}
+		nresponse = Math.min(Math.max(nresponse, floor), max);
+
+		level = nlevel;
+		response = nresponse;
+		lastbit = bit;
+		return level;
+	};
+}
+
+// Returns signed 8-bit levels, like cc-dfpwm.js.
+export function makeDecoder(params) {
+	const predictor = makePredictor(params);
+	let lastlevel = 0;
+	let lastbit = false;
+	let lpflevel = 0;
+
+	return input => {
+		const output = [];
+		for (const byte of input) {
+			for (let i = 0; i < 8; i++) {
+				const bit = ((byte >> i) & 1) !== 0;
+				const level = predictor(bit);
+				const blended = params.antijerk && bit !== lastbit ? Math.floor((lastlevel + level + 1) / 2) : level;
+				lastlevel = level;
+				lastbit = bit;
+				lpflevel += Math.floor(((blended - lpflevel) * params.lpfStrength + 0x80) / 256);
+				output.push(lpflevel);
+			}
+		}
+		return output;
+	};
+}
+
+// Takes signed 8-bit levels; the input length must be a multiple of 8.
+export function makeEncoder(params) {
+	const predictor = makePredictor(params);
+	let level = 0;
+
+	return input => {
+		const output = new Uint8Array(input.length / 8);
+		for (let i = 0; i < input.length; i++) {
+			const bit = input[i] > level || (input[i] === level && level === 127);
+			if (bit) output[i >> 3] |= 1 << (i & 7);
+			level = predictor(bit);
+		}
+		return output;
+	};
+}